@@ -0,0 +1,30 @@
+module.exports = {
+  /**
+   * Publish / unpublish blog posts whose publishAt / unpublishAt has passed.
+   * See src/api/blog-post/services/scheduler.js
+   */
+  blogPostSchedule: {
+    task: async ({ strapi }) => {
+      await strapi.service('api::blog-post.scheduler').runDueJobs();
+    },
+    options: {
+      rule: '* * * * *',
+    },
+  },
+
+  /**
+   * Send posts past their content review date back to the review queue,
+   * when enabled (config/workflow.js `freshness.autoRequeue`).
+   * See src/api/blog-post/services/freshness.js
+   */
+  blogPostFreshness: {
+    task: async ({ strapi }) => {
+      if (!strapi.config.get('workflow.freshness.autoRequeue', false)) return;
+      await strapi.service('api::blog-post.freshness').requeueStale();
+    },
+    options: {
+      rule: '0 6 * * *',
+      tz: 'Europe/Bucharest',
+    },
+  },
+};
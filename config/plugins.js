@@ -1,4 +1,9 @@
 module.exports = ({ env }) => ({
+  // Local plugin: editorial dashboard and workflow tools in the admin panel
+  editorial: {
+    enabled: true,
+    resolve: './src/plugins/editorial',
+  },
   'users-permissions': {
     config: {
       jwt: {
@@ -18,4 +23,24 @@ module.exports = ({ env }) => ({
       breakpoints: {},
     },
   },
+  email: {
+    config: {
+      // SMTP via nodemailer; point SMTP_HOST/SMTP_PORT at a local catcher
+      // (e.g. Mailpit on localhost:1025) during development
+      provider: 'nodemailer',
+      providerOptions: {
+        host: env('SMTP_HOST', 'localhost'),
+        port: env.int('SMTP_PORT', 1025),
+        secure: env.bool('SMTP_SECURE', false),
+        auth: env('SMTP_USERNAME') ? {
+          user: env('SMTP_USERNAME'),
+          pass: env('SMTP_PASSWORD'),
+        } : undefined,
+      },
+      settings: {
+        defaultFrom: env('EMAIL_FROM', 'blog-cms@asigurari.ro'),
+        defaultReplyTo: env('EMAIL_REPLY_TO', 'blog-cms@asigurari.ro'),
+      },
+    },
+  },
 });
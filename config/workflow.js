@@ -0,0 +1,90 @@
+module.exports = ({ env }) => ({
+  // Reasons an editor can pick when rejecting a post (key => label).
+  // The key is stored on the review event and on the rejection comment.
+  rejectionReasons: {
+    factual_error: 'Factual error',
+    seo: 'SEO',
+    legal_asf: 'Legal/ASF wording',
+    style: 'Style',
+    other: 'Other',
+  },
+
+  // Systems whose posts need a legal/compliance sign-off (`compliance_approved`)
+  // after the editorial approval before they can be published
+  complianceSystems: env.array('COMPLIANCE_SYSTEMS', ['rca', 'malpraxis', 'health']),
+
+  // Workflow role of API tokens, by token name: 'author', 'editor', 'compliance' or 'admin'.
+  // Tokens not listed here cannot submit, approve or reject posts.
+  apiTokenRoles: {
+    'symfony-write': 'editor',
+  },
+
+  // Reviewers eligible per system (usernames or emails of users with the
+  // Editor role), assigned round-robin on submit. Systems not listed here
+  // rotate over every Editor.
+  reviewersBySystem: {},
+
+  // Email notifications on submit / approve / reject
+  notifications: {
+    enabled: env.bool('WORKFLOW_NOTIFICATIONS', true),
+    // Fallback recipient when a submitted post has no reviewer
+    editorsEmail: env('EDITORS_EMAIL', ''),
+    // Compliance team, told when a regulated post passes the editorial review
+    complianceEmail: env('COMPLIANCE_EMAIL', ''),
+  },
+
+  // Soft edit locks: a lock not renewed for this long is released
+  editLockSeconds: env.int('EDIT_LOCK_SECONDS', 120),
+
+  // Signed draft preview links ({frontendUrl}/blog-cms/{system}/{slug}?preview=<token>).
+  // Without a secret no preview token can be issued or checked.
+  preview: {
+    secret: env('PREVIEW_SECRET', ''),
+    ttlHours: env.int('PREVIEW_TOKEN_TTL_HOURS', 48),
+    frontendUrl: env('SYMFONY_BASE_URL', 'https://www.asigurari.ro'),
+  },
+
+  // Structured data (schema.org JSON-LD) of the blog posts: URLs are built on
+  // siteUrl, the publisher is the Organization of every BlogPosting
+  structuredData: {
+    siteUrl: env('SYMFONY_BASE_URL', 'https://www.asigurari.ro'),
+    publisher: {
+      name: 'asigurari.ro',
+      logoUrl: env('PUBLISHER_LOGO_URL', ''),
+    },
+  },
+
+  // Content freshness: when a post passes review its `reviewBy` date is set
+  // this many months ahead (per system, `defaultMonths` for the others).
+  // With `autoRequeue`, overdue posts go back to pending_review every morning.
+  freshness: {
+    defaultMonths: 12,
+    monthsBySystem: {
+      rca: 6,
+    },
+    autoRequeue: env.bool('STALE_AUTO_REQUEUE', false),
+  },
+
+  // Related posts (GET /api/blog-posts/:slug/related): points per shared tag,
+  // same category, same system, and for the title/excerpt similarity (0..1)
+  related: {
+    defaultLimit: 5,
+    weights: { tag: 3, category: 2, system: 1, text: 4 },
+  },
+
+  // SEO analysis (seoScore, 0..100): posts scoring below minScore cannot be
+  // submitted for review
+  seo: {
+    minScore: env.int('SEO_MIN_SCORE', 60),
+  },
+
+  // Internal link index: unpublishing a post linked from at least
+  // warnInboundCount published posts is flagged in the Content Manager and
+  // needs `force` in a bulk unpublish
+  links: {
+    warnInboundCount: env.int('LINK_WARN_INBOUND_COUNT', 3),
+  },
+
+  // Timezone used to group the editorial calendar by day
+  calendarTimezone: env('CALENDAR_TIMEZONE', 'Europe/Bucharest'),
+});
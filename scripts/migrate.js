@@ -22,6 +22,8 @@ const http = require('http');
 // =========================================================================
 
 const STRAPI_URL = process.env.STRAPI_URL || 'http://localhost:1337';
+// Token named `symfony-write` (or mapped to the editor role in `apiTokenRoles`):
+// other tokens cannot set the review status of the imported posts
 const API_TOKEN = fs.existsSync(path.join(__dirname, '..', '.api_token'))
   ? fs.readFileSync(path.join(__dirname, '..', '.api_token'), 'utf8').trim()
   : process.env.STRAPI_API_TOKEN || '';
@@ -35,6 +37,11 @@ const SYSTEM_DIRS = [
 
 const SKIP_FILES = ['_blocks', 'macros', 'blog.html.twig'];
 
+// Systems whose posts need the compliance sign-off to be published: keep in
+// sync with `complianceSystems` of the CMS (config/workflow.js)
+const COMPLIANCE_SYSTEMS = (process.env.COMPLIANCE_SYSTEMS || 'rca,malpraxis,health')
+  .split(',').map((s) => s.trim()).filter(Boolean);
+
 // CLI args
 const args = process.argv.slice(2);
 const DRY_RUN = args.includes('--dry-run');
@@ -571,6 +578,50 @@ function addParagraphs(blocks, text) {
   }
 }
 
+/**
+ * Whether a content section is the FAQ of the article ("Intrebari frecvente"),
+ * with one subsection per question.
+ */
+function isFaqSection(section) {
+  const heading = (section.heading || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  return /intrebari frecvente|^faq\b/.test(heading)
+    && (section.subsections || []).some((sub) => sub.subheading);
+}
+
+/**
+ * FAQ items (`faq` component) from the FAQ section: the subheading is the
+ * question, the subsection content and lists are the answer.
+ */
+function buildFaq(parsed) {
+  const faq = [];
+
+  for (const section of (parsed.contentSections || []).filter(isFaqSection)) {
+    for (const sub of section.subsections) {
+      if (!sub.subheading) continue;
+
+      const answer = [];
+      if (sub.content) addParagraphs(answer, sub.content);
+      for (const list of sub.lists || []) {
+        answer.push({
+          type: 'list',
+          format: list.ordered ? 'ordered' : 'unordered',
+          children: list.items.map(item => ({
+            type: 'list-item',
+            children: parseInlineHtml(item.replace(/\\'/g, "'")),
+          })),
+        });
+      }
+      if (sub.additionalContent) addParagraphs(answer, sub.additionalContent);
+
+      if (answer.length > 0) {
+        faq.push({ question: sub.subheading, answer });
+      }
+    }
+  }
+
+  return faq;
+}
+
 function buildRichTextContent(parsed) {
   const blocks = [];
 
@@ -590,12 +641,15 @@ function buildRichTextContent(parsed) {
 
   // Content sections
   if (parsed.contentSections) {
-    for (const section of parsed.contentSections) {
-      // Section heading (h2)
+    // The FAQ section goes to the `faq` component (see buildFaq)
+    for (const section of parsed.contentSections.filter((section) => !isFaqSection(section))) {
+      // Section heading (h2), keeping the legacy anchor id so existing
+      // links to the section still work (the CMS builds tocItems from it)
       if (section.heading) {
         blocks.push({
           type: 'heading',
           level: 2,
+          ...(section.id ? { id: section.id } : {}),
           children: [{ type: 'text', text: section.heading }],
         });
       }
@@ -770,7 +824,7 @@ function parseInlineHtml(text) {
 // Build Strapi payload
 // =========================================================================
 
-function buildStrapiPayload(parsed, system, slug, categoryDocId) {
+function buildStrapiPayload(parsed, system, slug, categoryDocId, authorDocId) {
   const content = buildRichTextContent(parsed);
 
   // Build excerpt from intro text
@@ -797,17 +851,20 @@ function buildStrapiPayload(parsed, system, slug, categoryDocId) {
   countWords(content);
   const readingTime = Math.max(1, Math.ceil(wordCount / 200));
 
+  const postSystem = system === 'rcp' ? 'malpraxis' : system;
+
+  // The legacy articles are live already: they are imported as reviewed
   const payload = {
     title: parsed.title || slug,
     slug: slug,
     excerpt: excerpt || slug,
     content: content,
-    system: system === 'rcp' ? 'malpraxis' : system,
+    system: postSystem,
     metaTitle: (parsed.metaTitle || parsed.title || slug).substring(0, 70),
     metaDescription: (parsed.metaDescription || excerpt || '').substring(0, 160),
-    tocItems: parsed.tocItems || [],
+    faq: buildFaq(parsed),
     readingTime: readingTime,
-    reviewStatus: 'approved',
+    reviewStatus: COMPLIANCE_SYSTEMS.includes(postSystem) ? 'compliance_approved' : 'approved',
     authorName: 'Echipa asigurari.ro',
     featuredImageAlt: parsed.imageAlt || '',
   };
@@ -816,6 +873,10 @@ function buildStrapiPayload(parsed, system, slug, categoryDocId) {
     payload.category = categoryDocId;
   }
 
+  if (authorDocId) {
+    payload.author = authorDocId;
+  }
+
   return { data: payload };
 }
 
@@ -855,6 +916,14 @@ async function main() {
     catMap['rcp'] = catMap['malpraxis'];
   }
 
+  // Migrated posts are signed by the team author (seeded at bootstrap)
+  let authorDocId = null;
+  if (!DRY_RUN) {
+    const authorRes = await apiRequest('GET', '/api/authors?filters[slug][$eq]=echipa-asigurari-ro');
+    authorDocId = authorRes.data?.data?.[0]?.documentId || null;
+    console.log(`  Author: ${authorDocId ? `echipa-asigurari-ro → ${authorDocId}` : 'team author not found, posts keep authorName only'}`);
+  }
+
   // 2. Scan all article files
   console.log('\n--- Scanning article files ---');
   const articles = [];
@@ -914,7 +983,7 @@ async function main() {
 
       // Build Strapi payload
       const categoryDocId = catMap[article.system] || null;
-      const payload = buildStrapiPayload(parsed, article.system, article.slug, categoryDocId);
+      const payload = buildStrapiPayload(parsed, article.system, article.slug, categoryDocId, authorDocId);
 
       if (DRY_RUN) {
         const contentBlocks = payload.data.content.length;
@@ -17,15 +17,22 @@ const http = require('http');
 const https = require('https');
 
 const STRAPI_URL = process.env.STRAPI_URL || 'http://localhost:1337';
-// You must create a full-access API token in Strapi admin first
+// You must create a full-access API token in Strapi admin first, named
+// `symfony-write` (or mapped to the editor role in `apiTokenRoles`): other
+// tokens cannot set the review status of the sample post
 const API_TOKEN = process.env.STRAPI_API_TOKEN || '';
 
 if (!API_TOKEN) {
   console.error('ERROR: Set STRAPI_API_TOKEN environment variable first.');
-  console.error('Create a full-access token in Strapi Admin → Settings → API Tokens');
+  console.error('Create a full-access token named symfony-write in Strapi Admin → Settings → API Tokens');
   process.exit(1);
 }
 
+// Systems whose posts need the compliance sign-off to be published: keep in
+// sync with `complianceSystems` of the CMS (config/workflow.js)
+const COMPLIANCE_SYSTEMS = (process.env.COMPLIANCE_SYSTEMS || 'rca,malpraxis,health')
+  .split(',').map((s) => s.trim()).filter(Boolean);
+
 const headers = {
   'Content-Type': 'application/json',
   Authorization: `Bearer ${API_TOKEN}`,
@@ -114,6 +121,10 @@ async function seedSamplePost() {
   const tagRes = await request('GET', '/api/tags?filters[slug][$in][0]=ghid-complet&filters[slug][$in][1]=sfaturi-utile');
   const tagIds = (tagRes.data?.data || []).map((t) => t.id || t.documentId);
 
+  // Get the team author (seeded at bootstrap)
+  const authorRes = await request('GET', '/api/authors?filters[slug][$eq]=echipa-asigurari-ro');
+  const authorId = authorRes.data?.data?.[0]?.documentId || null;
+
   const samplePost = {
     data: {
       title: 'Ghid complet RCA 2025: Tot ce trebuie sa stii despre asigurarea auto obligatorie',
@@ -133,6 +144,7 @@ async function seedSamplePost() {
         {
           type: 'heading',
           level: 2,
+          id: 'ce-este-rca',
           children: [{ type: 'text', text: 'Ce este asigurarea RCA?' }],
         },
         {
@@ -147,6 +159,7 @@ async function seedSamplePost() {
         {
           type: 'heading',
           level: 2,
+          id: 'ce-acopera-rca',
           children: [{ type: 'text', text: 'Ce acopera asigurarea RCA?' }],
         },
         {
@@ -174,6 +187,7 @@ async function seedSamplePost() {
         {
           type: 'heading',
           level: 2,
+          id: 'pret-rca',
           children: [{ type: 'text', text: 'Cum alegi cel mai bun pret RCA?' }],
         },
         {
@@ -190,13 +204,9 @@ async function seedSamplePost() {
       metaTitle: 'Ghid complet RCA 2025 - Asigurare auto obligatorie | asigurari.ro',
       metaDescription:
         'Tot ce trebuie sa stii despre RCA in 2025: acoperire, preturi, documente necesare si cum faci o reclamatie.',
-      tocItems: [
-        { href: '#ce-este-rca', title: 'Ce este asigurarea RCA?' },
-        { href: '#ce-acopera-rca', title: 'Ce acopera asigurarea RCA?' },
-        { href: '#pret-rca', title: 'Cum alegi cel mai bun pret RCA?' },
-      ],
-      reviewStatus: 'approved',
+      reviewStatus: COMPLIANCE_SYSTEMS.includes('rca') ? 'compliance_approved' : 'approved',
       authorName: 'Echipa asigurari.ro',
+      author: authorId,
       category: rcaCategoryId,
       tags: tagIds,
     },
@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * author controller
+ *
+ * Extended with the author archive used by the Symfony author pages:
+ * - findBySlug: author profile (photo, social links) and published post count
+ * - posts: the author's published posts, paginated
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+module.exports = createCoreController('api::author.author', ({ strapi }) => ({
+
+  /**
+   * GET /api/authors/by-slug/:slug
+   */
+  async findBySlug(ctx) {
+    const authors = strapi.service('api::author.author');
+    const author = await authors.findBySlug(ctx.params.slug);
+
+    if (!author) {
+      return ctx.notFound('Author not found');
+    }
+
+    const sanitized = await this.sanitizeOutput(author, ctx);
+    return this.transformResponse(sanitized, { postCount: await authors.countPosts(author) });
+  },
+
+  /**
+   * GET /api/authors/by-slug/:slug/posts?page=1&pageSize=10
+   */
+  async posts(ctx) {
+    const page = Math.max(1, parseInt(ctx.query.page, 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(ctx.query.pageSize, 10) || DEFAULT_PAGE_SIZE));
+
+    const authors = strapi.service('api::author.author');
+    const author = await authors.findBySlug(ctx.params.slug);
+
+    if (!author) {
+      return ctx.notFound('Author not found');
+    }
+
+    const [posts, total] = await Promise.all([
+      authors.findPosts(author, { start: (page - 1) * pageSize, limit: pageSize }),
+      authors.countPosts(author),
+    ]);
+
+    const sanitized = await strapi.contentAPI.sanitize.output(
+      posts,
+      strapi.getModel('api::blog-post.blog-post'),
+      { auth: ctx.state.auth }
+    );
+    return this.transformResponse(sanitized, {
+      pagination: { page, pageSize, pageCount: Math.ceil(total / pageSize), total },
+    });
+  },
+}));
@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Author archive routes, used by the Symfony author pages.
+ * Authors are looked up by slug, as in the public URLs.
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/authors/by-slug/:slug',
+      handler: 'author.findBySlug',
+      config: {
+        policies: [],
+        middlewares: [],
+        description: 'Get an author profile by slug, with its published post count',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/authors/by-slug/:slug/posts',
+      handler: 'author.posts',
+      config: {
+        policies: [],
+        middlewares: [],
+        description: 'Get the published blog posts of an author, newest first',
+      },
+    },
+  ],
+};
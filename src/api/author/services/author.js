@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * author service
+ *
+ * Author profiles are linked to the CMS users who write posts by email:
+ * the first post created by an admin panel or API user creates their
+ * profile, which editors then complete (bio, photo, credentials).
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+const UID = 'api::author.author';
+const POST_UID = 'api::blog-post.blog-post';
+
+const POST_FIELDS = [
+  'title', 'slug', 'excerpt', 'system', 'featuredImageUrl', 'featuredImageAlt',
+  'readingTime', 'publishedAt', 'updatedAt',
+];
+
+module.exports = createCoreService(UID, ({ strapi }) => ({
+
+  async findBySlug(slug) {
+    return strapi.documents(UID).findFirst({
+      filters: { slug },
+      populate: ['photo', 'socialLinks'],
+    });
+  },
+
+  /**
+   * Published posts of an author, newest first.
+   */
+  async findPosts(author, { start = 0, limit = 10 } = {}) {
+    return strapi.documents(POST_UID).findMany({
+      filters: { author: { documentId: author.documentId } },
+      status: 'published',
+      fields: POST_FIELDS,
+      populate: { category: { fields: ['name', 'slug'] }, featuredImage: true },
+      sort: 'publishedAt:desc',
+      start,
+      limit,
+    });
+  },
+
+  async countPosts(author) {
+    return strapi.documents(POST_UID).count({
+      filters: { author: { documentId: author.documentId } },
+      status: 'published',
+    });
+  },
+
+  /**
+   * Author profile of a CMS user, created on first use.
+   *
+   * @param {{ name: string, email: string }} person
+   * @returns {Promise<object|null>} the author, or null without an email
+   */
+  async findOrCreateFor({ name, email }) {
+    if (!email) return null;
+
+    const existing = await strapi.db.query(UID).findOne({ where: { email: email.toLowerCase() } });
+    if (existing) return existing;
+
+    const displayName = name || email.split('@')[0];
+    const slug = await strapi.service('plugin::content-manager.uid').generateUIDField({
+      contentTypeUID: UID,
+      field: 'slug',
+      data: { name: displayName },
+    });
+
+    strapi.log.info(`Created author profile "${displayName}" for ${email}`);
+
+    return strapi.documents(UID).create({
+      data: { name: displayName, slug, email: email.toLowerCase() },
+    });
+  },
+}));
@@ -4,12 +4,43 @@
  * Blog post lifecycle hooks.
  *
  * - Auto-calculate reading time before create/update
- * - Auto-set authorName from the admin user who created the post
+ * - Anchor ids on the headings, and tocItems derived from them unless the
+ *   post opts out (`autoToc: false`, see services/toc.js)
+ * - SEO analysis of the draft (seoScore + seoWarnings, see services/seo.js)
+ * - Link the post to the author profile of the CMS user who created it
+ *   (and fill authorName from it)
+ * - Record the users-permissions user who created the post as its owner
+ * - Refuse to publish posts that have not passed review (unless a Super Admin
+ *   asks for an override, which is logged)
+ * - Send approved posts back to review when their content is edited
+ * - Ignore reviewStatus edits from the Content Manager (workflow actions only)
+ * - Validate the publishAt / unpublishAt schedule
+ * - Store every save of the draft as a revision (api::post-revision)
+ * - Redirect the old URL when a post is published under a new system/slug
+ *   (api::redirect)
+ * - Drop the cached related posts when a published version changes
+ * - Index the internal links of the content of every version (api::post-link)
  * - Trigger Symfony cache invalidation webhook on publish/unpublish/update
  */
 
+const { errors } = require('@strapi/utils');
+
 const WORDS_PER_MINUTE = 200;
 
+// Editing any of these on an approved post sends it back to review
+const CONTENT_FIELDS = [
+  'title', 'slug', 'excerpt', 'content', 'system',
+  'metaTitle', 'metaDescription', 'featuredImageUrl', 'featuredImageAlt',
+  'tocItems', 'authorName', 'faq',
+];
+const RELATION_FIELDS = ['category', 'tags', 'featuredImage', 'author'];
+const APPROVED_STATUSES = ['approved', 'compliance_approved'];
+
+// Fields the SEO analysis reads: saving any of them scores the draft again
+const SEO_FIELDS = [
+  'title', 'slug', 'excerpt', 'content', 'metaTitle', 'metaDescription', 'focusKeyword',
+];
+
 /**
  * Estimate reading time from blocks content.
  * Strapi v5 blocks are JSON arrays of typed nodes.
@@ -39,41 +70,207 @@ function estimateReadingTime(blocks) {
 }
 
 /**
- * Send cache invalidation webhook to Symfony.
+ * Set the heading anchor ids of the saved content and, with `autoToc`,
+ * replace tocItems with the table of contents derived from the headings.
+ */
+function applyToc(data, autoToc) {
+  const { content, tocItems } = strapi.service('api::blog-post.toc').build(data.content);
+
+  data.content = content;
+  if (autoToc) {
+    data.tocItems = tocItems;
+  }
+}
+
+/**
+ * Store the SEO score and warnings of the saved draft.
+ */
+async function applySeo(data, current = {}) {
+  const { seoScore, seoWarnings } = await strapi.service('api::blog-post.seo').analyze({ ...current, ...data });
+
+  data.seoScore = seoScore;
+  data.seoWarnings = seoWarnings;
+}
+
+/**
+ * Ids of a relation value: a row or id, a list of them, or null.
+ */
+function relationIds(value) {
+  return [].concat(value ?? [])
+    .map((item) => String(item && typeof item === 'object' ? item.id : item))
+    .sort();
+}
+
+/**
+ * Whether an update changes the content of a post (as opposed to workflow
+ * fields such as reviewStatus). Relations (populated in `current`) count as
+ * changed when the update links other rows than the current ones; setting a
+ * relation to its current value, or disconnecting an unlinked row, is not a
+ * change.
+ */
+function hasContentChanges(current, data) {
+  const changedField = CONTENT_FIELDS.some((field) => (
+    data[field] !== undefined && JSON.stringify(data[field]) !== JSON.stringify(current[field])
+  ));
+
+  if (changedField) return true;
+
+  return RELATION_FIELDS.some((field) => {
+    const value = data[field];
+    if (value === undefined) return false;
+
+    const linked = relationIds(current[field]);
+
+    if (value && typeof value === 'object' && !Array.isArray(value) && value.id === undefined) {
+      if (value.set) {
+        return JSON.stringify(relationIds(value.set)) !== JSON.stringify(linked);
+      }
+      return relationIds(value.connect).some((id) => !linked.includes(id))
+        || relationIds(value.disconnect).some((id) => linked.includes(id));
+    }
+
+    return JSON.stringify(relationIds(value)) !== JSON.stringify(linked);
+  });
+}
+
+function toFaqItems(rows) {
+  return (rows || []).map(({ question, answer }) => ({ question, answer }));
+}
+
+/**
+ * FAQ items ({ question, answer }) an update saves. The components are
+ * saved before the post row: the update only links their rows.
+ */
+async function getUpdatedFaq(items) {
+  const ids = items.map((item) => item.id);
+  const rows = await strapi.db.query('blog.faq-item').findMany({ where: { id: { $in: ids } } });
+  const byId = new Map(rows.map((row) => [row.id, row]));
+
+  return toFaqItems(ids.map((id) => byId.get(id)).filter(Boolean));
+}
+
+/**
+ * FAQ items of a post before an update, whose component rows are already
+ * replaced by then: from its latest revision, or the published version for
+ * posts with no revision of their FAQ yet.
+ */
+async function getPreviousFaq(post) {
+  const revision = await strapi.db.query('api::post-revision.post-revision').findOne({
+    select: ['faq'],
+    where: { postDocumentId: post.documentId },
+    orderBy: { number: 'desc' },
+  });
+
+  if (revision && revision.faq) return revision.faq;
+
+  const published = await strapi.db.query('api::blog-post.blog-post').findOne({
+    where: { documentId: post.documentId, publishedAt: { $notNull: true } },
+    populate: { faq: true },
+  });
+
+  return toFaqItems(published && published.faq);
+}
+
+/**
+ * A scheduled unpublish must come after the scheduled publish.
+ */
+function validateSchedule(data) {
+  if (data.publishAt && data.unpublishAt && new Date(data.unpublishAt) <= new Date(data.publishAt)) {
+    throw new errors.ValidationError('unpublishAt must be later than publishAt');
+  }
+}
+
+/**
+ * Only approved posts (compliance-approved for regulated systems) may be
+ * published. A Super Admin (workflow role `admin`) can publish anyway by
+ * asking for it with `?override=true`; the override is logged and recorded
+ * in the post's review history.
+ */
+async function assertPublishable(data) {
+  const workflow = strapi.service('api::blog-post.workflow');
+
+  if (workflow.isPublishable(data)) return;
+
+  const ctx = strapi.requestContext.get();
+
+  const override = Boolean(ctx && String(ctx.query.override) === 'true');
+
+  if (!override || workflow.getRole(ctx.state) !== 'admin') {
+    const required = workflow.requiresCompliance(data.system) ? 'compliance_approved' : 'approved';
+    throw new errors.ApplicationError(
+      `Only ${required} posts can be published (current review status: ${data.reviewStatus})`
+    );
+  }
+
+  const actor = workflow.getActor(ctx.state);
+  strapi.log.warn(`Publish override by ${actor.name}: "${data.title}" published with review status ${data.reviewStatus}`);
+
+  await strapi.service('api::review-event.review-event').record(data, data.reviewStatus, actor, {
+    comment: 'Published without approval (Super Admin override)',
+  });
+}
+
+/**
+ * Whether the request being processed comes from the Content Manager.
  */
-async function invalidateSymfonyCache(slug) {
-  const webhookUrl = process.env.SYMFONY_BASE_URL;
-  const webhookSecret = process.env.WEBHOOK_SECRET;
-
-  if (!webhookUrl || !webhookSecret) return;
-
-  try {
-    const url = `${webhookUrl}/cms-webhook/invalidate`;
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Strapi-Webhook-Secret': webhookSecret,
-      },
-      body: JSON.stringify({
-        event: 'entry.update',
-        model: 'blog-post',
-        entry: { slug },
-      }),
-    });
-
-    if (!response.ok) {
-      strapi.log.warn(`Symfony cache invalidation failed: ${response.status}`);
-    } else {
-      strapi.log.info(`Symfony cache invalidated for slug: ${slug}`);
-    }
-  } catch (error) {
-    strapi.log.warn(`Symfony cache invalidation error: ${error.message}`);
+function isContentManagerRequest() {
+  const ctx = strapi.requestContext.get();
+  const route = ctx && ctx.state.route;
+  return Boolean(route && route.info && route.info.pluginName === 'content-manager');
+}
+
+/**
+ * Whether relation data sets anything: an id, or a non-empty connect/set.
+ */
+function hasRelation(value) {
+  if (value === null || value === undefined) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') {
+    return [].concat(value.connect || [], value.set || []).length > 0;
+  }
+  return true;
+}
+
+/**
+ * Set the owner and author of a draft created through a request:
+ * - owner: the users-permissions user (authors may only submit their own posts)
+ * - author: the author profile of the admin panel or users-permissions user,
+ *   created on first use
+ */
+async function setCreator(data) {
+  const ctx = strapi.requestContext.get();
+  if (!ctx || !ctx.state.user) return;
+
+  const actor = strapi.service('api::blog-post.workflow').getActor(ctx.state);
+
+  if (actor.type === 'user' && !hasRelation(data.owner)) {
+    data.owner = ctx.state.user.id;
+  }
+
+  if (!hasRelation(data.author)) {
+    const author = await strapi
+      .service('api::author.author')
+      .findOrCreateFor({ name: actor.name, email: ctx.state.user.email });
+
+    if (author) {
+      data.author = author.id;
+      data.authorName = data.authorName || author.name;
+    }
   }
 }
 
+/**
+ * Store the saved draft as a new revision, attributed to the current caller.
+ */
+async function recordRevision(post) {
+  await strapi.service('api::post-revision.post-revision').record(
+    post.id,
+    strapi.service('api::blog-post.workflow').getCurrentActor()
+  );
+}
+
 module.exports = {
-  beforeCreate(event) {
+  async beforeCreate(event) {
     const { data } = event.params;
 
     // Auto-calculate reading time from content blocks
@@ -81,32 +278,148 @@ module.exports = {
       data.readingTime = estimateReadingTime(data.content);
     }
 
+    // Heading anchors and the table of contents derived from them
+    if (data.content) {
+      applyToc(data, data.autoToc !== false);
+    }
+
+    validateSchedule(data);
+
+    // Set by the redirect service only
+    delete data.lastPublishedPath;
+
+    // The published version keeps the score of the draft it is copied from
+    if (!data.publishedAt) {
+      await applySeo(data);
+    }
+
     // Default reviewStatus to 'draft' if not set
     if (!data.reviewStatus) {
       data.reviewStatus = 'draft';
     }
+
+    // The user creating the draft owns it and is its author
+    if (!data.publishedAt) {
+      await setCreator(data);
+    }
+
+    // Publishing creates the published version of the post
+    if (data.publishedAt) {
+      await assertPublishable(data);
+    }
   },
 
-  beforeUpdate(event) {
-    const { data } = event.params;
+  async beforeUpdate(event) {
+    const { data, where } = event.params;
 
     // Recalculate reading time if content changed
     if (data.content) {
       data.readingTime = estimateReadingTime(data.content);
     }
+
+    // Rebuild the table of contents when the content changes or the post
+    // switches back to the automatic one
+    if (data.content || data.autoToc === true) {
+      const current = await strapi.db.query('api::blog-post.blog-post').findOne({
+        select: ['content', 'autoToc'],
+        where,
+      });
+      const autoToc = data.autoToc !== undefined ? data.autoToc : !current || current.autoToc !== false;
+
+      if (!data.content && current) {
+        data.content = current.content;
+      }
+      if (data.content) {
+        applyToc(data, autoToc);
+      }
+    }
+
+    validateSchedule(data);
+
+    // The SEO score is computed, never saved as sent; it is scored again
+    // when a field the analysis reads changes
+    delete data.seoScore;
+    delete data.seoWarnings;
+
+    // Set by the redirect service only
+    delete data.lastPublishedPath;
+
+    if (SEO_FIELDS.some((field) => data[field] !== undefined)) {
+      const current = await strapi.db.query('api::blog-post.blog-post').findOne({ where });
+
+      if (current && !current.publishedAt) {
+        await applySeo(data, current);
+      }
+    }
+
+    // The review status changes through the workflow actions only; the field
+    // is read-only in the Content Manager form
+    if (isContentManagerRequest()) {
+      delete data.reviewStatus;
+    }
+
+    // An approved post needs a new approval once its content is edited
+    if (!data.reviewStatus || APPROVED_STATUSES.includes(data.reviewStatus)) {
+      const current = await strapi.db.query('api::blog-post.blog-post').findOne({
+        where,
+        populate: Object.fromEntries(RELATION_FIELDS.map((field) => [field, { select: ['id'] }])),
+      });
+      let changes = data;
+
+      if (current && APPROVED_STATUSES.includes(current.reviewStatus) && data.faq !== undefined) {
+        current.faq = await getPreviousFaq(current);
+        changes = { ...data, faq: await getUpdatedFaq(data.faq || []) };
+      }
+
+      if (
+        current
+        && APPROVED_STATUSES.includes(current.reviewStatus)
+        && (!data.reviewStatus || data.reviewStatus === current.reviewStatus)
+        && hasContentChanges(current, changes)
+      ) {
+        data.reviewStatus = 'pending_review';
+
+        await strapi.service('api::review-event.review-event').record(
+          current,
+          'pending_review',
+          strapi.service('api::blog-post.workflow').getCurrentActor(),
+          { comment: 'Edited after approval, needs re-approval' }
+        );
+      }
+    }
   },
 
   async afterCreate(event) {
     const { result } = event;
+
+    // Keep every save of the draft as a revision
+    if (!result.publishedAt) {
+      await recordRevision(result);
+    }
+
+    // A new published version: redirect the URL of the one it replaces, and
+    // recompute the related posts
+    if (result.publishedAt) {
+      await strapi.service('api::redirect.redirect').publishedVersionCreated(result);
+      strapi.service('api::blog-post.related').invalidate();
+    }
+
+    await strapi.service('api::post-link.post-link').index(result);
     strapi.log.info(`Blog post created: "${result.title}" (ID: ${result.id})`);
   },
 
   async afterUpdate(event) {
     const { result } = event;
 
+    if (!result.publishedAt) {
+      await recordRevision(result);
+    }
+
+    await strapi.service('api::post-link.post-link').index(result);
+
     // Invalidate Symfony cache when a post is updated
     if (result.slug) {
-      await invalidateSymfonyCache(result.slug);
+      await strapi.service('api::blog-post.symfony-cache').invalidate(result.slug);
     }
 
     strapi.log.info(`Blog post updated: "${result.title}" (ID: ${result.id}, status: ${result.reviewStatus})`);
@@ -115,9 +428,17 @@ module.exports = {
   async afterDelete(event) {
     const { result } = event;
 
+    // Publishing replaces the published version: keep its URL for the redirect
+    if (result.publishedAt) {
+      await strapi.service('api::redirect.redirect').publishedVersionDeleted(result);
+      strapi.service('api::blog-post.related').invalidate();
+    }
+
+    await strapi.service('api::post-link.post-link').remove(result);
+
     // Invalidate all Symfony cache on delete
     if (result.slug) {
-      await invalidateSymfonyCache(result.slug);
+      await strapi.service('api::blog-post.symfony-cache').invalidate(result.slug);
     }
 
     strapi.log.info(`Blog post deleted: ID ${result.id}`);
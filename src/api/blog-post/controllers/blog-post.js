@@ -6,20 +6,240 @@
  * Extended with custom actions for the review workflow:
  * - submitForReview: AUTHOR submits a draft for editor review
  * - approve: EDITOR/ADMIN approves a post
- * - reject: EDITOR/ADMIN rejects a post
+ * - complianceApprove: COMPLIANCE/ADMIN signs off an approved post of a
+ *   regulated system (config/workflow.js `complianceSystems`)
+ * - reject: EDITOR/ADMIN rejects a post, COMPLIANCE rejects it at the
+ *   compliance stage
+ * - reviewHistory: timeline of review status transitions
+ * - comments / addComment: reviewer/author comment thread on a post
+ * - assignReviewer: EDITOR/ADMIN (re)assigns the reviewer of a post
+ * - stale: published posts past their content review date
+ * - bulk: EDITOR/ADMIN applies a workflow or editing action to many posts
+ * - findByStatus / statusSummary: paginated status lists and counts for the dashboard
+ * - revisions / revision / revisionDiff / restoreRevision: saved versions of
+ *   a post (services of api::post-revision), compared and restored
+ * - update: refused with a 409 when based on an outdated version of the post
+ * - lock / acquireLock / releaseLock: soft edit lock ("Ana is editing this post")
+ * - clone: copy a post into a new draft (templated articles)
+ * - previewToken / preview: signed draft preview links for the Symfony site
+ * - related: related posts of a published post (pinned, then computed)
+ *
+ * Every transition is logged as a review-event (who, when, from/to status).
+ * Rejections require a reason and open a comment thread, which stays open
+ * until the author resubmits the post. Submit, approve, compliance approval
+ * and reject send email notifications (services/notifications.js).
  */
 
 const { createCoreController } = require('@strapi/strapi').factories;
 
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Set by the workflow actions only: ignored in REST create/update from non-staff callers
+const WORKFLOW_FIELDS = ['reviewStatus', 'owner', 'reviewer'];
+
+// Relations of a draft preview: what the Symfony article page renders
+const PREVIEW_POPULATE = {
+  category: true,
+  tags: true,
+  author: { populate: ['photo'] },
+  featuredImage: true,
+  faq: true,
+};
+
+/**
+ * Drop the workflow fields from a REST create/update sent by an author (or
+ * any caller below editor): authors cannot approve, publish or reassign
+ * posts by writing these fields directly.
+ */
+function stripWorkflowFields(ctx) {
+  const { data } = ctx.request.body || {};
+
+  if (!data || strapi.service('api::blog-post.workflow').isStaff(ctx.state)) return;
+
+  for (const field of WORKFLOW_FIELDS) {
+    delete data[field];
+  }
+}
+
+/**
+ * Revision number from a route or query parameter, or null.
+ */
+function parseRevisionNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Whether a field can be projected in the status lists: any non-private
+ * scalar attribute (relations and media are populated separately).
+ */
+function isListField(attributes, field) {
+  const attribute = attributes[field];
+  return Boolean(attribute && !attribute.private && !['relation', 'media', 'component', 'dynamiczone'].includes(attribute.type));
+}
+
+/**
+ * Payload sent along with a workflow action: { data: { comment, reason, reviewer } }
+ */
+function getActionData(ctx) {
+  const { data } = ctx.request.body || {};
+  return {
+    comment: data && data.comment ? String(data.comment).trim() : null,
+    reason: data && data.reason ? String(data.reason) : null,
+    reviewer: data && data.reviewer ? Number(data.reviewer) : null,
+  };
+}
+
+/**
+ * Add `reviewComments` (open thread) to every rejected draft in a response,
+ * so authors see why a post was bounced when they fetch it. The thread is
+ * only shown to editors/admins and to the author who created the post.
+ */
+async function attachReviewComments(entries, ctx) {
+  const workflow = strapi.service('api::blog-post.workflow');
+  let rejected = (entries || []).filter((entry) => (
+    entry.reviewStatus === 'rejected' && !entry.publishedAt
+  ));
+
+  if (rejected.length === 0) return;
+
+  if (!workflow.isStaff(ctx.state)) {
+    if (!ctx.state.user) return;
+
+    const owned = await strapi.db.query('api::blog-post.blog-post').findMany({
+      select: ['documentId'],
+      where: {
+        documentId: { $in: rejected.map((entry) => entry.documentId) },
+        publishedAt: null,
+        owner: { id: ctx.state.user.id },
+      },
+    });
+    const ownedIds = new Set(owned.map((post) => post.documentId));
+
+    rejected = rejected.filter((entry) => ownedIds.has(entry.documentId));
+    if (rejected.length === 0) return;
+  }
+
+  const comments = await strapi
+    .service('api::review-comment.review-comment')
+    .findThread(rejected.map((entry) => entry.documentId));
+
+  const sanitized = await strapi.contentAPI.sanitize.output(
+    comments,
+    strapi.getModel('api::review-comment.review-comment'),
+    { auth: ctx.state.auth }
+  );
+
+  for (const entry of rejected) {
+    entry.reviewComments = sanitized.filter((comment, index) => (
+      comments[index].blogPost && comments[index].blogPost.documentId === entry.documentId
+    ));
+  }
+}
+
 module.exports = createCoreController('api::blog-post.blog-post', ({ strapi }) => ({
 
   /**
-   * Submit a blog post for review.
-   * Changes reviewStatus from 'draft' to 'pending_review'.
+   * Default find, with the structured data of every post and the open
+   * comment thread attached to rejected drafts.
+   */
+  async find(ctx) {
+    const response = await super.find(ctx);
+    await strapi.service('api::blog-post.structured-data').attach(response.data);
+    await attachReviewComments(response.data, ctx);
+    return response;
+  },
+
+  /**
+   * Default findOne, with the structured data of the post and the open
+   * comment thread attached to a rejected draft.
+   */
+  async findOne(ctx) {
+    const response = await super.findOne(ctx);
+    if (response && response.data) {
+      await strapi.service('api::blog-post.structured-data').attach([response.data]);
+      await attachReviewComments([response.data], ctx);
+    }
+    return response;
+  },
+
+  /**
+   * Default create; workflow fields are ignored for non-staff callers.
+   */
+  async create(ctx) {
+    stripWorkflowFields(ctx);
+    return super.create(ctx);
+  },
+
+  /**
+   * Default update (the route lets authors update their own posts only;
+   * workflow fields are ignored for non-staff callers). An update sent with
+   * the version it edited (`data.updatedAt` or If-Match) is refused with a
+   * 409 when the draft was saved since (see services/editing.js).
    *
-   * POST /api/blog-posts/:id/submit-for-review
+   * Updates save the draft: an edit of an approved post sends it back to
+   * review while the published version stays live. The draft is published
+   * with `?status=published` (approved posts only, see the publish guard).
    */
-  async submitForReview(ctx) {
+  async update(ctx) {
+    const { data } = ctx.request.body || {};
+
+    if (ctx.query.status !== 'published') {
+      ctx.query.status = 'draft';
+    }
+
+    // Not a writable field: kept for the version check of the document service
+    if (data && data.updatedAt) {
+      ctx.state.editedVersion = data.updatedAt;
+      delete data.updatedAt;
+    }
+
+    stripWorkflowFields(ctx);
+
+    try {
+      return await super.update(ctx);
+    } catch (error) {
+      if (error.name === 'ConflictError') {
+        return ctx.conflict(error.message, error.details);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Copy a blog post into a new draft: content, SEO fields, category, tags
+   * and table of contents, with a unique slug. Publish state and review
+   * history are not copied.
+   *
+   * POST /api/blog-posts/:id/clone
+   * Body (optional): { data: { title: 'Ghid RCA 2027' } }
+   */
+  async clone(ctx) {
+    const { id } = ctx.params;
+    const { data } = ctx.request.body || {};
+    const title = data && data.title ? String(data.title).trim() : null;
+
+    const entity = await strapi.entityService.findOne('api::blog-post.blog-post', id);
+
+    if (!entity) {
+      return ctx.notFound('Blog post not found');
+    }
+
+    const created = await strapi.service('api::blog-post.cloning').clone(entity.documentId, { title });
+
+    const sanitized = await this.sanitizeOutput(created, ctx);
+    ctx.status = 201;
+    return this.transformResponse(sanitized);
+  },
+
+  /**
+   * Issue a signed preview link to the draft of a blog post, for the
+   * Symfony site: { token, expiresAt, url }.
+   *
+   * POST /api/blog-posts/:id/preview-token
+   */
+  async previewToken(ctx) {
     const { id } = ctx.params;
 
     const entity = await strapi.entityService.findOne('api::blog-post.blog-post', id);
@@ -28,16 +248,63 @@ module.exports = createCoreController('api::blog-post.blog-post', ({ strapi }) =
       return ctx.notFound('Blog post not found');
     }
 
-    if (entity.reviewStatus !== 'draft' && entity.reviewStatus !== 'rejected') {
-      return ctx.badRequest('Only draft or rejected posts can be submitted for review');
+    ctx.body = { data: strapi.service('api::blog-post.preview').createToken(entity), meta: {} };
+  },
+
+  /**
+   * Draft of the blog post a preview token was issued for, with what the
+   * article page shows (category, tags, author, featured image, FAQ). The token
+   * is the credential: the route has no API auth, so Symfony can call it
+   * with its read-only token.
+   *
+   * GET /api/blog-posts/preview?token=<token>
+   */
+  async preview(ctx) {
+    const documentId = strapi.service('api::blog-post.preview').verifyToken(ctx.query.token);
+
+    if (!documentId) {
+      return ctx.unauthorized('Invalid or expired preview token');
     }
 
-    const updated = await strapi.entityService.update('api::blog-post.blog-post', id, {
-      data: {
-        reviewStatus: 'pending_review',
-      },
+    const entity = await strapi.documents('api::blog-post.blog-post').findOne({
+      documentId,
+      status: 'draft',
+      populate: PREVIEW_POPULATE,
     });
 
+    if (!entity) {
+      return ctx.notFound('Blog post not found');
+    }
+
+    // Sanitized without auth: the populated relations are public content
+    const sanitized = await strapi.contentAPI.sanitize.output(entity, strapi.getModel('api::blog-post.blog-post'));
+    await strapi.service('api::blog-post.structured-data').attach([sanitized]);
+    return this.transformResponse(sanitized, { preview: true });
+  },
+
+  /**
+   * Submit a blog post for review.
+   * Changes reviewStatus from 'draft' to 'pending_review' and assigns a
+   * reviewer: the one given in the body, or the next one in the rotation
+   * of the post's system.
+   *
+   * POST /api/blog-posts/:id/submit-for-review
+   * Body (optional): { data: { reviewer: <user id>, comment: '...' } }
+   */
+  async submitForReview(ctx) {
+    const { id } = ctx.params;
+    const { comment, reviewer } = getActionData(ctx);
+
+    const entity = await strapi.entityService.findOne('api::blog-post.blog-post', id);
+
+    if (!entity) {
+      return ctx.notFound('Blog post not found');
+    }
+
+    const updated = await strapi
+      .service('api::blog-post.workflow')
+      .submit(entity, ctx.state, { comment, reviewer });
+
     const sanitized = await this.sanitizeOutput(updated, ctx);
     return this.transformResponse(sanitized);
   },
@@ -57,15 +324,32 @@ module.exports = createCoreController('api::blog-post.blog-post', ({ strapi }) =
       return ctx.notFound('Blog post not found');
     }
 
-    if (entity.reviewStatus !== 'pending_review') {
-      return ctx.badRequest('Only posts with pending_review status can be approved');
+    const updated = await strapi
+      .service('api::blog-post.workflow')
+      .approve(entity, ctx.state, { comment: getActionData(ctx).comment });
+
+    const sanitized = await this.sanitizeOutput(updated, ctx);
+    return this.transformResponse(sanitized);
+  },
+
+  /**
+   * Compliance sign-off of a post in a regulated system.
+   * Changes reviewStatus from 'approved' to 'compliance_approved'.
+   *
+   * POST /api/blog-posts/:id/compliance-approve
+   */
+  async complianceApprove(ctx) {
+    const { id } = ctx.params;
+
+    const entity = await strapi.entityService.findOne('api::blog-post.blog-post', id);
+
+    if (!entity) {
+      return ctx.notFound('Blog post not found');
     }
 
-    const updated = await strapi.entityService.update('api::blog-post.blog-post', id, {
-      data: {
-        reviewStatus: 'approved',
-      },
-    });
+    const updated = await strapi
+      .service('api::blog-post.workflow')
+      .complianceApprove(entity, ctx.state, { comment: getActionData(ctx).comment });
 
     const sanitized = await this.sanitizeOutput(updated, ctx);
     return this.transformResponse(sanitized);
@@ -73,12 +357,77 @@ module.exports = createCoreController('api::blog-post.blog-post', ({ strapi }) =
 
   /**
    * Reject a blog post.
-   * Changes reviewStatus from 'pending_review' to 'rejected'.
+   * Changes reviewStatus from 'pending_review' (editorial review) or from
+   * 'approved' awaiting compliance (compliance review) to 'rejected'.
+   * Requires a reason from the configured taxonomy (config/workflow.js)
+   * and an explanation, which opens the post's comment thread.
    *
    * POST /api/blog-posts/:id/reject
+   * Body: { data: { reason: 'seo', comment: '...' } }
    */
   async reject(ctx) {
     const { id } = ctx.params;
+    const { reason, comment } = getActionData(ctx);
+    const workflow = strapi.service('api::blog-post.workflow');
+
+    workflow.validateRejection({ reason, comment });
+
+    const entity = await strapi.entityService.findOne('api::blog-post.blog-post', id);
+
+    if (!entity) {
+      return ctx.notFound('Blog post not found');
+    }
+
+    const updated = await workflow.reject(entity, ctx.state, { reason, comment });
+
+    const sanitized = await this.sanitizeOutput(updated, ctx);
+    return this.transformResponse(sanitized);
+  },
+
+  /**
+   * Apply an action to a list of posts, with the same rules as the
+   * single-post actions. Returns one result per post.
+   *
+   * POST /api/blog-posts/bulk
+   * Body: { data: { action: 'approve', documentIds: ['...'], comment, reviewer,
+   *                 reason, category: '<documentId>', tags: ['<documentId>'], force } }
+   * Actions: submit, approve, reject, publish, unpublish, set_category,
+   *          add_tags, remove_tags
+   */
+  async bulk(ctx) {
+    const { action, documentIds, category, tags, force } = (ctx.request.body || {}).data || {};
+
+    const results = await strapi.service('api::blog-post.bulk').run(
+      action,
+      documentIds,
+      { ...getActionData(ctx), category, tags, force: force === true },
+      ctx.state
+    );
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    ctx.body = {
+      data: results,
+      meta: { action, total: results.length, succeeded, failed: results.length - succeeded },
+    };
+  },
+
+  /**
+   * Assign a reviewer to a blog post explicitly, or put it back in the
+   * round-robin when no reviewer is given. A pending post notifies the
+   * new reviewer.
+   *
+   * POST /api/blog-posts/:id/assign-reviewer
+   * Body: { data: { reviewer: <user id> } }
+   */
+  async assignReviewer(ctx) {
+    const { id } = ctx.params;
+    const { reviewer } = getActionData(ctx);
+    const reviewers = strapi.service('api::blog-post.reviewers');
+
+    if (reviewer && !(await reviewers.isReviewer(reviewer))) {
+      return ctx.badRequest('The reviewer must be a user with the Editor role');
+    }
 
     const entity = await strapi.entityService.findOne('api::blog-post.blog-post', id);
 
@@ -86,41 +435,396 @@ module.exports = createCoreController('api::blog-post.blog-post', ({ strapi }) =
       return ctx.notFound('Blog post not found');
     }
 
-    if (entity.reviewStatus !== 'pending_review') {
-      return ctx.badRequest('Only posts with pending_review status can be rejected');
+    const assigned = await reviewers.assign(entity, reviewer);
+
+    if (!assigned) {
+      return ctx.badRequest('No reviewer available for this post');
     }
 
-    const updated = await strapi.entityService.update('api::blog-post.blog-post', id, {
-      data: {
-        reviewStatus: 'rejected',
-      },
-    });
+    if (entity.reviewStatus === 'pending_review') {
+      await strapi.service('api::blog-post.notifications').postSubmitted(entity);
+    }
 
-    const sanitized = await this.sanitizeOutput(updated, ctx);
+    ctx.body = {
+      data: { documentId: entity.documentId, reviewer: { id: assigned.id, username: assigned.username } },
+      meta: {},
+    };
+  },
+
+  /**
+   * Get the review history of a blog post, oldest event first.
+   *
+   * GET /api/blog-posts/:id/review-history
+   */
+  async reviewHistory(ctx) {
+    const { id } = ctx.params;
+
+    const entity = await strapi.entityService.findOne('api::blog-post.blog-post', id);
+
+    if (!entity) {
+      return ctx.notFound('Blog post not found');
+    }
+
+    const events = await strapi
+      .service('api::review-event.review-event')
+      .findTimeline(entity.documentId);
+
+    const sanitized = await strapi.contentAPI.sanitize.output(
+      events,
+      strapi.getModel('api::review-event.review-event'),
+      { auth: ctx.state.auth }
+    );
+    return this.transformResponse(sanitized);
+  },
+
+  /**
+   * Get the comment thread of a blog post.
+   * Only open comments are returned unless ?all=true is passed.
+   *
+   * GET /api/blog-posts/:id/comments
+   */
+  async comments(ctx) {
+    const { id } = ctx.params;
+
+    const entity = await strapi.entityService.findOne('api::blog-post.blog-post', id);
+
+    if (!entity) {
+      return ctx.notFound('Blog post not found');
+    }
+
+    const comments = await strapi
+      .service('api::review-comment.review-comment')
+      .findThread(entity.documentId, { includeResolved: ctx.query.all === 'true' });
+
+    const sanitized = await strapi.contentAPI.sanitize.output(
+      comments,
+      strapi.getModel('api::review-comment.review-comment'),
+      { auth: ctx.state.auth }
+    );
     return this.transformResponse(sanitized);
   },
 
   /**
-   * Get posts by review status (for editorial dashboard).
+   * Add a comment to the thread of a blog post.
+   *
+   * POST /api/blog-posts/:id/comments
+   * Body: { data: { comment: '...' } }
+   */
+  async addComment(ctx) {
+    const { id } = ctx.params;
+    const { comment } = getActionData(ctx);
+
+    if (!comment) {
+      return ctx.badRequest('Comment text is required');
+    }
+
+    const entity = await strapi.entityService.findOne('api::blog-post.blog-post', id);
+
+    if (!entity) {
+      return ctx.notFound('Blog post not found');
+    }
+
+    const created = await strapi
+      .service('api::review-comment.review-comment')
+      .add(entity, comment, strapi.service('api::blog-post.workflow').getActor(ctx.state));
+
+    const sanitized = await strapi.contentAPI.sanitize.output(
+      created,
+      strapi.getModel('api::review-comment.review-comment'),
+      { auth: ctx.state.auth }
+    );
+    return this.transformResponse(sanitized);
+  },
+
+  /**
+   * Get posts by review status (for editorial dashboard), paginated.
+   * Returns a light projection of the posts (no content blocks) unless
+   * `fields` asks for more.
    *
    * GET /api/blog-posts/by-status/:status
+   * Query: page, pageSize (max 100), system, category (slug), author (slug),
+   *        from / to (updatedAt, YYYY-MM-DD), fields (comma-separated)
    */
   async findByStatus(ctx) {
     const { status } = ctx.params;
-    const validStatuses = ['draft', 'pending_review', 'approved', 'rejected'];
+    const { system, category, author, from, to } = ctx.query;
+    const { attributes } = strapi.getModel('api::blog-post.blog-post');
+    const validStatuses = attributes.reviewStatus.enum;
+    const report = strapi.service('api::blog-post.status-report');
 
     if (!validStatuses.includes(status)) {
       return ctx.badRequest(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
     }
 
-    const entities = await strapi.entityService.findMany('api::blog-post.blog-post', {
-      filters: { reviewStatus: status },
-      sort: { updatedAt: 'desc' },
-      populate: ['featuredImage', 'category', 'tags'],
-      publicationState: 'preview', // Include drafts
+    if (system && !attributes.system.enum.includes(system)) {
+      return ctx.badRequest(`Invalid system. Must be one of: ${attributes.system.enum.join(', ')}`);
+    }
+
+    if ((from && !report.isValidDate(from)) || (to && !report.isValidDate(to))) {
+      return ctx.badRequest('from and to must be dates formatted as YYYY-MM-DD');
+    }
+
+    const fields = ctx.query.fields ? String(ctx.query.fields).split(',').map((field) => field.trim()) : report.LIST_FIELDS;
+    const invalidField = fields.find((field) => !isListField(attributes, field));
+
+    if (invalidField) {
+      return ctx.badRequest(`Invalid field: ${invalidField}`);
+    }
+
+    const page = Math.max(1, parseInt(ctx.query.page, 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(ctx.query.pageSize, 10) || DEFAULT_PAGE_SIZE));
+
+    const { results, pagination } = await report.list(status, {
+      page, pageSize, system, category, author, from, to, fields,
     });
 
-    const sanitized = await this.sanitizeOutput(entities, ctx);
+    const sanitized = await this.sanitizeOutput(results, ctx);
+    await attachReviewComments(sanitized, ctx);
+    return this.transformResponse(sanitized, { pagination });
+  },
+
+  /**
+   * Related posts of a published post, for the Symfony sidebar: the posts
+   * pinned by the editors, then the best scored ones (see services/related.js).
+   * Each post has `pinned` and `relatedScore` (null for pinned posts).
+   *
+   * GET /api/blog-posts/:slug/related?limit=5
+   */
+  async related(ctx) {
+    const defaultLimit = strapi.config.get('workflow.related.defaultLimit', 5);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(ctx.query.limit, 10) || defaultLimit));
+
+    const related = await strapi.service('api::blog-post.related').findRelated(ctx.params.slug, limit);
+
+    if (!related) {
+      return ctx.notFound('Blog post not found');
+    }
+
+    const sanitized = await this.sanitizeOutput(related.map((entry) => entry.post), ctx);
+    const data = sanitized.map((post, index) => ({
+      ...post,
+      pinned: related[index].pinned,
+      relatedScore: related[index].score,
+    }));
+
+    return this.transformResponse(data, { total: data.length });
+  },
+
+  /**
+   * Post counts per review status, overall and per system.
+   *
+   * GET /api/blog-posts/status-summary
+   */
+  async statusSummary(ctx) {
+    const summary = await strapi.service('api::blog-post.status-report').summary();
+
+    ctx.body = { data: summary, meta: {} };
+  },
+
+  /**
+   * Published posts past their content review date (`reviewBy`),
+   * most overdue first.
+   *
+   * GET /api/blog-posts/stale?system=rca
+   */
+  async stale(ctx) {
+    const { system } = ctx.query;
+    const systems = strapi.getModel('api::blog-post.blog-post').attributes.system.enum;
+
+    if (system && !systems.includes(system)) {
+      return ctx.badRequest(`Invalid system. Must be one of: ${systems.join(', ')}`);
+    }
+
+    const posts = await strapi.service('api::blog-post.freshness').findStale({ system });
+
+    const sanitized = await this.sanitizeOutput(posts, ctx);
+    sanitized.forEach((post, index) => {
+      post.reviewDue = posts[index].reviewDue;
+      post.daysOverdue = posts[index].daysOverdue;
+    });
+    return this.transformResponse(sanitized, { total: posts.length });
+  },
+
+  /**
+   * List the revisions of a blog post, latest first (without their content).
+   *
+   * GET /api/blog-posts/:id/revisions
+   */
+  async revisions(ctx) {
+    const { id } = ctx.params;
+
+    const entity = await strapi.entityService.findOne('api::blog-post.blog-post', id);
+
+    if (!entity) {
+      return ctx.notFound('Blog post not found');
+    }
+
+    const revisions = await strapi
+      .service('api::post-revision.post-revision')
+      .findRevisions(entity.documentId);
+
+    const sanitized = await strapi.contentAPI.sanitize.output(
+      revisions,
+      strapi.getModel('api::post-revision.post-revision'),
+      { auth: ctx.state.auth }
+    );
+    return this.transformResponse(sanitized, { total: revisions.length });
+  },
+
+  /**
+   * Get one revision of a blog post, with its content.
+   *
+   * GET /api/blog-posts/:id/revisions/:number
+   */
+  async revision(ctx) {
+    const { id } = ctx.params;
+    const number = parseRevisionNumber(ctx.params.number);
+
+    if (!number) {
+      return ctx.badRequest('Invalid revision number');
+    }
+
+    const entity = await strapi.entityService.findOne('api::blog-post.blog-post', id);
+
+    if (!entity) {
+      return ctx.notFound('Blog post not found');
+    }
+
+    const revision = await strapi
+      .service('api::post-revision.post-revision')
+      .findRevision(entity.documentId, number);
+
+    const sanitized = await strapi.contentAPI.sanitize.output(
+      revision,
+      strapi.getModel('api::post-revision.post-revision'),
+      { auth: ctx.state.auth }
+    );
+    return this.transformResponse(sanitized);
+  },
+
+  /**
+   * Compare two revisions of a blog post: changed fields and relations,
+   * and a block-by-block diff of the content.
+   * Defaults to the latest revision against the one before it.
+   *
+   * GET /api/blog-posts/:id/revisions/diff?from=3&to=5
+   */
+  async revisionDiff(ctx) {
+    const { id } = ctx.params;
+    const revisions = strapi.service('api::post-revision.post-revision');
+
+    const entity = await strapi.entityService.findOne('api::blog-post.blog-post', id);
+
+    if (!entity) {
+      return ctx.notFound('Blog post not found');
+    }
+
+    let to = ctx.query.to !== undefined ? parseRevisionNumber(ctx.query.to) : null;
+    if (ctx.query.to === undefined) {
+      const latest = await revisions.findLatest(entity.documentId);
+      to = latest ? latest.number : null;
+    }
+
+    const from = ctx.query.from !== undefined ? parseRevisionNumber(ctx.query.from) : to && to - 1;
+
+    if (!from || !to || from === to) {
+      return ctx.badRequest('from and to must be two different revision numbers');
+    }
+
+    ctx.body = { data: await revisions.diff(entity.documentId, from, to), meta: {} };
+  },
+
+  /**
+   * Restore a revision into the blog post draft. The restore is recorded
+   * as a new revision; an approved post goes back to review.
+   *
+   * POST /api/blog-posts/:id/revisions/:number/restore
+   */
+  async restoreRevision(ctx) {
+    const { id } = ctx.params;
+    const number = parseRevisionNumber(ctx.params.number);
+
+    if (!number) {
+      return ctx.badRequest('Invalid revision number');
+    }
+
+    const entity = await strapi.entityService.findOne('api::blog-post.blog-post', id);
+
+    if (!entity) {
+      return ctx.notFound('Blog post not found');
+    }
+
+    const updated = await strapi
+      .service('api::post-revision.post-revision')
+      .restore(entity.documentId, number);
+
+    const sanitized = await this.sanitizeOutput(updated, ctx);
     return this.transformResponse(sanitized);
   },
+
+  /**
+   * Get the edit lock of a blog post (null when nobody is editing it).
+   *
+   * GET /api/blog-posts/:id/lock
+   */
+  async lock(ctx) {
+    const { id } = ctx.params;
+
+    const entity = await strapi.entityService.findOne('api::blog-post.blog-post', id);
+
+    if (!entity) {
+      return ctx.notFound('Blog post not found');
+    }
+
+    const editing = strapi.service('api::blog-post.editing');
+    const lock = await editing.getLock(entity.documentId);
+    const actor = strapi.service('api::blog-post.workflow').getActor(ctx.state);
+
+    ctx.body = { data: editing.formatLock(lock, actor), meta: {} };
+  },
+
+  /**
+   * Take or renew the edit lock of a blog post. Call it again before
+   * `expiresAt` to keep the lock. When someone else holds it, their lock
+   * is returned with `meta.acquired: false`.
+   *
+   * POST /api/blog-posts/:id/lock
+   */
+  async acquireLock(ctx) {
+    const { id } = ctx.params;
+
+    const entity = await strapi.entityService.findOne('api::blog-post.blog-post', id);
+
+    if (!entity) {
+      return ctx.notFound('Blog post not found');
+    }
+
+    const editing = strapi.service('api::blog-post.editing');
+    const actor = strapi.service('api::blog-post.workflow').getActor(ctx.state);
+    const { acquired, lock } = await editing.acquireLock(entity.documentId, actor);
+
+    ctx.body = { data: editing.formatLock(lock, actor), meta: { acquired } };
+  },
+
+  /**
+   * Release the caller's edit lock of a blog post.
+   *
+   * DELETE /api/blog-posts/:id/lock
+   */
+  async releaseLock(ctx) {
+    const { id } = ctx.params;
+
+    const entity = await strapi.entityService.findOne('api::blog-post.blog-post', id);
+
+    if (!entity) {
+      return ctx.notFound('Blog post not found');
+    }
+
+    const actor = strapi.service('api::blog-post.workflow').getActor(ctx.state);
+    const released = await strapi
+      .service('api::blog-post.editing')
+      .releaseLock(entity.documentId, actor);
+
+    ctx.body = { data: null, meta: { released } };
+  },
 }));
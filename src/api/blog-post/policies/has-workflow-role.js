@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * `has-workflow-role` policy
+ *
+ * Only lets the request through if the caller has one of the configured
+ * workflow roles.
+ *
+ * Usage in a route:
+ *   policies: [{ name: 'api::blog-post.has-workflow-role', config: { roles: ['editor', 'admin'] } }]
+ */
+
+module.exports = (policyContext, config, { strapi }) => {
+  const roles = (config && config.roles) || [];
+  const role = strapi.service('api::blog-post.workflow').getRole(policyContext.state);
+
+  return roles.includes(role);
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * `is-post-owner` policy
+ *
+ * Lets editors and admins through; authors only for blog posts they created.
+ * Expects the blog post id in the route params (`:id`): the draft's numeric
+ * id, or the documentId with `config: { documentId: true }` (core routes).
+ * `config: { roles: [...] }` lets other workflow roles through as well
+ * (compliance reviewers on the review thread).
+ */
+
+module.exports = async (policyContext, config, { strapi }) => {
+  const workflow = strapi.service('api::blog-post.workflow');
+  const role = workflow.getRole(policyContext.state);
+
+  if (workflow.isStaff(policyContext.state) || (config && config.roles && config.roles.includes(role))) {
+    return true;
+  }
+
+  if (role !== 'author') {
+    return false;
+  }
+
+  const post = config && config.documentId
+    ? await strapi.documents('api::blog-post.blog-post').findOne({
+      documentId: policyContext.params.id,
+      populate: ['owner'],
+    })
+    : await strapi.entityService.findOne('api::blog-post.blog-post', policyContext.params.id, {
+      populate: ['owner'],
+    });
+
+  // Let the controller answer with a 404 for unknown posts
+  if (!post) {
+    return true;
+  }
+
+  return workflow.isOwner(policyContext.state, post);
+};
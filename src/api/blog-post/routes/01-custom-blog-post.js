@@ -0,0 +1,258 @@
+'use strict';
+
+/**
+ * Custom routes for blog-post review workflow.
+ *
+ * These routes extend the default CRUD with editorial actions.
+ * Access follows the Author/Editor role split (see services/workflow.js):
+ * only editors/admins approve, reject and list by status; authors may only
+ * submit their own posts. Compliance reviewers sign off (or reject) posts of
+ * regulated systems once editors approved them.
+ *
+ * The file name starts with "01-" so these routes are registered before the
+ * core ones: /blog-posts/stale, /blog-posts/preview or /blog-posts/status-summary
+ * must not be matched as /blog-posts/:id.
+ */
+
+const staffOnly = { name: 'api::blog-post.has-workflow-role', config: { roles: ['editor', 'admin'] } };
+const complianceOnly = { name: 'api::blog-post.has-workflow-role', config: { roles: ['compliance', 'admin'] } };
+const reviewStaff = { name: 'api::blog-post.has-workflow-role', config: { roles: ['editor', 'compliance', 'admin'] } };
+// Editors, admins and compliance reviewers; authors for their own posts
+const ownerOrReviewStaff = { name: 'api::blog-post.is-post-owner', config: { roles: ['compliance'] } };
+
+module.exports = {
+  routes: [
+    {
+      method: 'POST',
+      path: '/blog-posts/:id/submit-for-review',
+      handler: 'blog-post.submitForReview',
+      config: {
+        policies: ['api::blog-post.is-post-owner'],
+        middlewares: [],
+        description: 'Submit a blog post for editorial review',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/blog-posts/:id/clone',
+      handler: 'blog-post.clone',
+      config: {
+        policies: ['api::blog-post.is-post-owner'],
+        middlewares: [],
+        description: 'Copy a blog post into a new draft',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/blog-posts/:id/preview-token',
+      handler: 'blog-post.previewToken',
+      config: {
+        policies: [ownerOrReviewStaff],
+        middlewares: [],
+        description: 'Issue a signed preview link to the draft of a blog post',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/blog-posts/:id/approve',
+      handler: 'blog-post.approve',
+      config: {
+        policies: [staffOnly],
+        middlewares: [],
+        description: 'Approve a blog post (editor/admin only)',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/blog-posts/:id/compliance-approve',
+      handler: 'blog-post.complianceApprove',
+      config: {
+        policies: [complianceOnly],
+        middlewares: [],
+        description: 'Compliance sign-off of a blog post (compliance/admin only)',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/blog-posts/:id/reject',
+      handler: 'blog-post.reject',
+      config: {
+        policies: [reviewStaff],
+        middlewares: [],
+        description: 'Reject a blog post (editor/compliance/admin only)',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/blog-posts/:id/assign-reviewer',
+      handler: 'blog-post.assignReviewer',
+      config: {
+        policies: [staffOnly],
+        middlewares: [],
+        description: 'Assign the reviewer of a blog post (editor/admin only)',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/blog-posts/:id/review-history',
+      handler: 'blog-post.reviewHistory',
+      config: {
+        policies: [],
+        middlewares: [],
+        description: 'Get the review status history of a blog post',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/blog-posts/:id/comments',
+      handler: 'blog-post.comments',
+      config: {
+        policies: [ownerOrReviewStaff],
+        middlewares: [],
+        description: 'Get the review comment thread of a blog post',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/blog-posts/:id/comments',
+      handler: 'blog-post.addComment',
+      config: {
+        policies: [ownerOrReviewStaff],
+        middlewares: [],
+        description: 'Add a comment to the review thread of a blog post',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/blog-posts/:id/revisions',
+      handler: 'blog-post.revisions',
+      config: {
+        policies: [ownerOrReviewStaff],
+        middlewares: [],
+        description: 'List the saved revisions of a blog post',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/blog-posts/:id/revisions/diff',
+      handler: 'blog-post.revisionDiff',
+      config: {
+        policies: [ownerOrReviewStaff],
+        middlewares: [],
+        description: 'Compare two revisions of a blog post block by block',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/blog-posts/:id/revisions/:number',
+      handler: 'blog-post.revision',
+      config: {
+        policies: [ownerOrReviewStaff],
+        middlewares: [],
+        description: 'Get one revision of a blog post',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/blog-posts/:id/revisions/:number/restore',
+      handler: 'blog-post.restoreRevision',
+      config: {
+        policies: ['api::blog-post.is-post-owner'],
+        middlewares: [],
+        description: 'Restore a revision into the blog post draft',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/blog-posts/:id/lock',
+      handler: 'blog-post.lock',
+      config: {
+        policies: [ownerOrReviewStaff],
+        middlewares: [],
+        description: 'Get the edit lock of a blog post (who is editing it)',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/blog-posts/:id/lock',
+      handler: 'blog-post.acquireLock',
+      config: {
+        policies: ['api::blog-post.is-post-owner'],
+        middlewares: [],
+        description: 'Take or renew the edit lock of a blog post',
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/blog-posts/:id/lock',
+      handler: 'blog-post.releaseLock',
+      config: {
+        policies: ['api::blog-post.is-post-owner'],
+        middlewares: [],
+        description: 'Release the edit lock of a blog post',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/blog-posts/bulk',
+      handler: 'blog-post.bulk',
+      config: {
+        policies: [staffOnly],
+        middlewares: [],
+        description: 'Apply a workflow or editing action to a list of blog posts (editor/admin only)',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/blog-posts/preview',
+      handler: 'blog-post.preview',
+      config: {
+        // The signed preview token is the credential
+        auth: false,
+        policies: [],
+        middlewares: [],
+        description: 'Draft of the blog post a preview token was issued for',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/blog-posts/:slug/related',
+      handler: 'blog-post.related',
+      config: {
+        policies: [],
+        middlewares: [],
+        description: 'Related posts of a published blog post (pinned, then computed)',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/blog-posts/stale',
+      handler: 'blog-post.stale',
+      config: {
+        policies: [reviewStaff],
+        middlewares: [],
+        description: 'Get published blog posts past their content review date',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/blog-posts/status-summary',
+      handler: 'blog-post.statusSummary',
+      config: {
+        policies: [reviewStaff],
+        middlewares: [],
+        description: 'Get blog post counts per review status and per system',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/blog-posts/by-status/:status',
+      handler: 'blog-post.findByStatus',
+      config: {
+        policies: [reviewStaff],
+        middlewares: [],
+        description: 'Get blog posts filtered by review status',
+      },
+    },
+  ],
+};
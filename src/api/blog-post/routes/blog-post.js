@@ -3,10 +3,16 @@
 /**
  * blog-post router
  *
- * Default CRUD routes are auto-generated by Strapi.
- * This file only defines the default core router.
+ * Default CRUD routes are auto-generated by Strapi. Authors may only
+ * update the posts they created (`:id` is the documentId here).
  */
 
 const { createCoreRouter } = require('@strapi/strapi').factories;
 
-module.exports = createCoreRouter('api::blog-post.blog-post');
+module.exports = createCoreRouter('api::blog-post.blog-post', {
+  config: {
+    update: {
+      policies: [{ name: 'api::blog-post.is-post-owner', config: { documentId: true } }],
+    },
+  },
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+/**
+ * Bulk editorial actions over a list of blog posts.
+ *
+ * Each post goes through the same rules as the single-post endpoints (the
+ * workflow actions, the publish guard, re-approval after edits); a refused
+ * post is reported and does not stop the others. The Symfony cache
+ * invalidations of the whole batch are coalesced into one webhook.
+ */
+
+const { errors } = require('@strapi/utils');
+
+const UID = 'api::blog-post.blog-post';
+const MAX_ITEMS = 100;
+
+/**
+ * Handlers by action name: (post draft, ctx.state, params) => updated post
+ */
+const actions = {
+  submit: (post, state, { comment, reviewer }) => (
+    strapi.service('api::blog-post.workflow').submit(post, state, { comment, reviewer })
+  ),
+
+  approve: (post, state, { comment }) => (
+    strapi.service('api::blog-post.workflow').approve(post, state, { comment })
+  ),
+
+  reject: (post, state, { reason, comment }) => (
+    strapi.service('api::blog-post.workflow').reject(post, state, { reason, comment })
+  ),
+
+  async publish(post) {
+    const { entries } = await strapi.documents(UID).publish({ documentId: post.documentId });
+    await strapi.service('api::blog-post.symfony-cache').invalidate(post.slug, 'entry.publish');
+    return entries[0];
+  },
+
+  async unpublish(post, state, { force }) {
+    const published = await strapi.documents(UID).findOne({ documentId: post.documentId, status: 'published' });
+
+    if (!published) {
+      throw new errors.ValidationError('Only published posts can be unpublished');
+    }
+
+    // Unpublishing breaks the links to the post: heavily linked posts need `force`
+    const inbound = await strapi.service('api::post-link.post-link').findInbound(post.documentId);
+    if (!force && inbound.length >= strapi.config.get('workflow.links.warnInboundCount')) {
+      throw new errors.ValidationError(
+        `Linked from ${inbound.length} published posts, whose links would break (send force: true to unpublish anyway)`
+      );
+    }
+
+    await strapi.documents(UID).unpublish({ documentId: post.documentId });
+    await strapi.service('api::blog-post.symfony-cache').invalidate(post.slug, 'entry.unpublish');
+    return post;
+  },
+
+  set_category: (post, state, { category }) => strapi.documents(UID).update({
+    documentId: post.documentId,
+    data: { category },
+  }),
+
+  add_tags: (post, state, { tags }) => strapi.documents(UID).update({
+    documentId: post.documentId,
+    data: { tags: { connect: tags } },
+  }),
+
+  remove_tags: (post, state, { tags }) => strapi.documents(UID).update({
+    documentId: post.documentId,
+    data: { tags: { disconnect: tags } },
+  }),
+};
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * Check the request as a whole before touching any post.
+   */
+  async validate(action, documentIds, params) {
+    if (!actions[action]) {
+      throw new errors.ValidationError(`Invalid action. Must be one of: ${Object.keys(actions).join(', ')}`);
+    }
+
+    if (!Array.isArray(documentIds) || documentIds.length === 0 || documentIds.some((id) => typeof id !== 'string')) {
+      throw new errors.ValidationError('documentIds must be a non-empty list of blog post documentIds');
+    }
+
+    if (documentIds.length > MAX_ITEMS) {
+      throw new errors.ValidationError(`At most ${MAX_ITEMS} posts can be processed at once`);
+    }
+
+    if (action === 'reject') {
+      strapi.service('api::blog-post.workflow').validateRejection(params);
+    }
+
+    if (action === 'set_category') {
+      const category = params.category
+        && await strapi.db.query('api::category.category').findOne({ where: { documentId: params.category } });
+
+      if (!category) {
+        throw new errors.ValidationError('category must be the documentId of an existing category');
+      }
+    }
+
+    if (action === 'add_tags' || action === 'remove_tags') {
+      const tags = Array.isArray(params.tags) ? params.tags : [];
+      const found = tags.length > 0
+        ? await strapi.db.query('api::tag.tag').count({ where: { documentId: { $in: tags } } })
+        : 0;
+
+      if (tags.length === 0 || found !== new Set(tags).size) {
+        throw new errors.ValidationError('tags must be a non-empty list of existing tag documentIds');
+      }
+    }
+  },
+
+  /**
+   * Apply an action to every post.
+   *
+   * @param {string} action - Action name (see `actions`)
+   * @param {string[]} documentIds - Blog post documentIds
+   * @param {object} params - Action parameters: { comment, reviewer, reason, category, tags, force }
+   * @param {object} state - ctx.state of the caller
+   * @returns {Promise<object[]>} one result per post: { documentId, success, reviewStatus | error }
+   */
+  async run(action, documentIds, params, state) {
+    await this.validate(action, documentIds, params);
+
+    return strapi.service('api::blog-post.symfony-cache').batch(async () => {
+      const results = [];
+
+      for (const documentId of new Set(documentIds)) {
+        try {
+          const post = await strapi.documents(UID).findOne({ documentId });
+
+          if (!post) {
+            throw new errors.NotFoundError('Blog post not found');
+          }
+
+          const updated = await actions[action](post, state, params);
+          results.push({ documentId, success: true, reviewStatus: updated.reviewStatus });
+        } catch (error) {
+          if (!(error instanceof errors.ApplicationError)) {
+            strapi.log.error(`Bulk ${action} failed for blog post ${documentId}: ${error.message}`);
+          }
+
+          results.push({
+            documentId,
+            success: false,
+            error: error instanceof errors.ApplicationError ? error.message : 'Internal server error',
+          });
+        }
+      }
+
+      return results;
+    });
+  },
+});
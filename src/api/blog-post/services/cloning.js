@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Clone a blog post into a new draft, e.g. "Ghid RCA 2027" from last year's
+ * guide.
+ *
+ * The copy gets the content, FAQ, SEO fields, category, tags and table of
+ * contents of the source draft, a unique slug and `reviewStatus: 'draft'`.
+ * Publish state, schedule, review history, reviewer and content review
+ * date are not copied; the author and owner are whoever clones the post
+ * (set by the lifecycles, as for any new post).
+ */
+
+const UID = 'api::blog-post.blog-post';
+
+// Copied as they are
+const COPIED_FIELDS = [
+  'excerpt', 'content', 'system', 'tocItems', 'autoToc',
+  'metaTitle', 'metaDescription', 'focusKeyword', 'featuredImageUrl', 'featuredImageAlt',
+];
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * @param {string} documentId - documentId of the post to clone
+   * @param {object} [options]
+   * @param {string} [options.title] - Title of the copy (default: "<title> (copie)")
+   * @returns {Promise<object|null>} the new draft, or null when the source does not exist
+   */
+  async clone(documentId, { title } = {}) {
+    const source = await strapi.documents(UID).findOne({
+      documentId,
+      populate: {
+        category: { fields: ['documentId'] },
+        tags: { fields: ['documentId'] },
+        featuredImage: { fields: ['id'] },
+        faq: true,
+      },
+    });
+
+    if (!source) return null;
+
+    const cloneTitle = title || `${source.title} (copie)`;
+    const slug = await strapi.service('plugin::content-manager.uid').generateUIDField({
+      contentTypeUID: UID,
+      field: 'slug',
+      data: { title: cloneTitle },
+    });
+
+    return strapi.documents(UID).create({
+      data: {
+        ...Object.fromEntries(COPIED_FIELDS.map((field) => [field, source[field]])),
+        title: cloneTitle,
+        slug,
+        reviewStatus: 'draft',
+        category: source.category ? source.category.documentId : null,
+        tags: (source.tags || []).map((tag) => tag.documentId),
+        featuredImage: source.featuredImage ? source.featuredImage.id : null,
+        faq: (source.faq || []).map(({ question, answer }) => ({ question, answer })),
+      },
+    });
+  },
+});
@@ -0,0 +1,235 @@
+'use strict';
+
+/**
+ * Concurrent editing of blog posts.
+ *
+ * - Optimistic concurrency: an update sent with the `updatedAt` of the
+ *   version it was based on is refused when the draft was saved since; the
+ *   fields changed in between come from the post revisions, or from the
+ *   current draft when no revision covers that version. Checked in the
+ *   document service (src/index.js), so REST updates and Content Manager
+ *   saves are both covered.
+ * - Soft locks: an editor opening a post takes an advisory lock and renews
+ *   it while the editor stays open, so the others see who is editing it.
+ *   Locks run out after `editLockSeconds` (config/workflow.js) without
+ *   renewal. Each lock is kept in its own core store entry, so taking the
+ *   lock of a post cannot overwrite the lock of another one. Taking and
+ *   releasing a lock happen in a transaction holding a lock on the post's
+ *   draft row, so two editors cannot both take a free lock.
+ */
+
+const { errors } = require('@strapi/utils');
+
+const UID = 'api::blog-post.blog-post';
+
+function lockStore(documentId) {
+  return { type: 'api', name: 'blog-post', key: `edit-lock:${documentId}` };
+}
+
+/**
+ * Run fn in a transaction holding a lock on the draft row of the post.
+ */
+function withDraftLock(strapi, documentId, fn) {
+  return strapi.db.transaction(async () => {
+    await strapi.db.queryBuilder(UID).select(['id']).where({ documentId, publishedAt: null }).forUpdate().execute();
+    return fn();
+  });
+}
+
+/**
+ * An update based on an outdated version of the post. The REST controller
+ * answers it with a 409; the Content Manager shows the message.
+ */
+class ConflictError extends errors.ApplicationError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * Version an update request is based on: the updatedAt the client read,
+ * sent in the data (`data.updatedAt` in REST, moved to
+ * `ctx.state.editedVersion` by the controller; `updatedAt` in Content
+ * Manager saves) or in the If-Match header (quotes allowed).
+ */
+function getVersion(ctx) {
+  const body = ctx.request.body || {};
+  const version = ctx.state.editedVersion || body.updatedAt || ctx.get('If-Match');
+  return version ? String(version).replace(/^(W\/)?"|"$/g, '') : null;
+}
+
+function isSameActor(lock, actor) {
+  return lock.lockedBy.type === actor.type && lock.lockedBy.id === actor.id;
+}
+
+/**
+ * Value of a field in a comparable form: relations as documentIds (media:
+ * file ids), components without their row ids.
+ */
+function toComparable(value, attribute) {
+  if (value === undefined || value === null) return null;
+
+  if (attribute.type === 'relation' || attribute.type === 'media') {
+    const key = attribute.type === 'media' ? 'id' : 'documentId';
+    const list = value && typeof value === 'object' && !Array.isArray(value) && value.set ? value.set : value;
+    const ids = [].concat(list).map((item) => (item && typeof item === 'object' ? item[key] : item));
+    return Array.isArray(list) ? ids.sort() : ids[0];
+  }
+
+  if (attribute.type === 'component') {
+    const strip = ({ id, ...item }) => item;
+    return Array.isArray(value) ? value.map(strip) : strip(value);
+  }
+
+  return value;
+}
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * Compare the version an update is based on with the current draft.
+   *
+   * @param {object} post - The current draft (documentId, updatedAt)
+   * @param {string} version - updatedAt of the version the update is based on
+   * @param {object} [data] - The update payload
+   * @returns {Promise<object|null>} null when the update is based on the
+   *   current draft, otherwise { updatedAt, updatedBy, fields, changedFields }:
+   *   `changedFields` were changed since that version, `fields` are the ones
+   *   the update also sets
+   */
+  async findConflict(post, version, data = {}) {
+    if (new Date(version).getTime() === new Date(post.updatedAt).getTime()) {
+      return null;
+    }
+
+    const changes = await strapi
+      .service('api::post-revision.post-revision')
+      .changesSince(post.documentId, new Date(version));
+    const fields = changes.fields || await this.findChangedFields(post.documentId, data);
+    const { updatedBy } = changes;
+
+    return {
+      updatedAt: post.updatedAt,
+      updatedBy,
+      fields: fields.filter((field) => data[field] !== undefined),
+      changedFields: fields,
+    };
+  },
+
+  /**
+   * Refuse an update of the draft of a post (ConflictError) when the
+   * request says which version it edited and the draft was saved since.
+   * The error details are those of findConflict. Only the first update of
+   * a request is checked: the other saves it triggers are based on that one.
+   *
+   * @param {string} documentId - Blog post documentId
+   * @param {object} [data] - The update payload
+   */
+  async checkVersion(documentId, data = {}) {
+    const ctx = strapi.requestContext.get();
+    if (!ctx || ctx.state.versionChecked) return;
+
+    const version = getVersion(ctx);
+    if (!version) return;
+
+    ctx.state.versionChecked = true;
+
+    if (Number.isNaN(Date.parse(version))) {
+      throw new errors.ValidationError('updatedAt must be the date of the version being edited');
+    }
+
+    const current = await strapi.documents(UID).findOne({ documentId, fields: ['updatedAt'] });
+    const conflict = current && await this.findConflict(current, version, data);
+
+    if (conflict) {
+      throw new ConflictError(
+        `This post was changed${conflict.updatedBy ? ` by ${conflict.updatedBy}` : ''} since the version you edited`,
+        conflict
+      );
+    }
+  },
+
+  /**
+   * Fields of an update that differ from the current draft.
+   */
+  async findChangedFields(documentId, data = {}) {
+    const { attributes } = strapi.getModel(UID);
+    const fields = Object.keys(data).filter((field) => attributes[field] && field !== 'updatedAt');
+    const populate = fields.filter((field) => ['relation', 'media', 'component'].includes(attributes[field].type));
+
+    const draft = await strapi.documents(UID).findOne({ documentId, populate });
+    if (!draft) return fields;
+
+    return fields.filter((field) => (
+      JSON.stringify(toComparable(data[field], attributes[field]))
+        !== JSON.stringify(toComparable(draft[field], attributes[field]))
+    ));
+  },
+
+  /**
+   * Edit lock as returned by the API, with `mine` set for the caller's own lock.
+   */
+  formatLock(lock, actor) {
+    if (!lock) return null;
+    return { ...lock, mine: isSameActor(lock, actor) };
+  },
+
+  /**
+   * The edit lock of a post, or null (none, or expired).
+   */
+  async getLock(documentId, now = new Date()) {
+    const lock = await strapi.store(lockStore(documentId)).get();
+    return lock && new Date(lock.expiresAt) > now ? lock : null;
+  },
+
+  /**
+   * Take or renew the edit lock of a post. A lock held by someone else is
+   * left alone (locks are advisory) and returned so the caller can say who
+   * is editing the post.
+   *
+   * @param {string} documentId - Blog post documentId
+   * @param {object} actor - { type, id, name } of the editor
+   * @returns {Promise<{ acquired: boolean, lock: object }>}
+   */
+  async acquireLock(documentId, actor, now = new Date()) {
+    return withDraftLock(strapi, documentId, async () => {
+      const current = await this.getLock(documentId, now);
+
+      if (current && !isSameActor(current, actor)) {
+        return { acquired: false, lock: current };
+      }
+
+      const seconds = strapi.config.get('workflow.editLockSeconds', 120);
+      const lock = {
+        documentId,
+        lockedBy: { type: actor.type, id: actor.id, name: actor.name },
+        since: current ? current.since : now.toISOString(),
+        expiresAt: new Date(now.getTime() + seconds * 1000).toISOString(),
+      };
+
+      await strapi.store(lockStore(documentId)).set({ value: lock });
+
+      return { acquired: true, lock };
+    });
+  },
+
+  /**
+   * Give up the edit lock of a post, if the actor holds it.
+   *
+   * @returns {Promise<boolean>} whether a lock was released
+   */
+  async releaseLock(documentId, actor, now = new Date()) {
+    return withDraftLock(strapi, documentId, async () => {
+      const current = await this.getLock(documentId, now);
+
+      if (!current || !isSameActor(current, actor)) {
+        return false;
+      }
+
+      await strapi.store(lockStore(documentId)).delete();
+
+      return true;
+    });
+  },
+});
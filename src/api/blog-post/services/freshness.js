@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Content freshness of blog posts.
+ *
+ * Insurance articles quote years, tariffs and legal thresholds that expire,
+ * so every post gets a `reviewBy` date when it passes review: N months ahead,
+ * per system (config/workflow.js `freshness`). A published post past that
+ * date is stale. Posts published without one (migrated or overridden posts)
+ * become stale N months after they were published.
+ *
+ * With `freshness.autoRequeue`, a daily cron task (config/cron-tasks.js)
+ * sends stale posts back to pending_review. The published version stays
+ * live until the post is approved and published again.
+ */
+
+const UID = 'api::blog-post.blog-post';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const APPROVED_STATUSES = ['approved', 'compliance_approved'];
+
+const STALE_FIELDS = [
+  'id', 'documentId', 'title', 'slug', 'system', 'reviewStatus',
+  'reviewBy', 'publishedAt', 'updatedAt',
+];
+
+function toDateKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+}
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * Months between two content reviews for a system.
+   */
+  getReviewMonths(system) {
+    const { defaultMonths = 12, monthsBySystem = {} } = strapi.config.get('workflow.freshness', {});
+    return monthsBySystem[system] || defaultMonths;
+  },
+
+  /**
+   * Date (YYYY-MM-DD) by which a post must be reviewed: its `reviewBy`, or
+   * the review period counted from its publication.
+   */
+  getReviewDue(post) {
+    if (post.reviewBy) return post.reviewBy;
+    if (!post.publishedAt) return null;
+    return toDateKey(addMonths(post.publishedAt, this.getReviewMonths(post.system)));
+  },
+
+  /**
+   * Set the next review date of a post that just passed review.
+   * A `reviewBy` still in the future (e.g. set by hand for a known legal
+   * change) is kept. Every version of the post is updated, so the stale
+   * report reflects the review without a new publish.
+   */
+  async renew(post, now = new Date()) {
+    if (post.reviewBy && post.reviewBy > toDateKey(now)) return;
+
+    await strapi.db.query(UID).updateMany({
+      where: { documentId: post.documentId },
+      data: { reviewBy: toDateKey(addMonths(now, this.getReviewMonths(post.system))) },
+    });
+  },
+
+  /**
+   * Published posts whose review date has passed, most overdue first.
+   *
+   * @param {object} [options]
+   * @param {string} [options.system] - Only posts of this system
+   * @returns {Promise<object[]>} posts, with `reviewDue` and `daysOverdue`
+   */
+  async findStale({ system } = {}, now = new Date()) {
+    const { monthsBySystem = {} } = strapi.config.get('workflow.freshness', {});
+    const today = toDateKey(now);
+
+    // Posts without reviewBy: compare their publication with each system's period
+    const configured = Object.keys(monthsBySystem);
+    const unscheduled = configured.map((key) => ({
+      system: key,
+      reviewBy: null,
+      publishedAt: { $lte: addMonths(now, -this.getReviewMonths(key)) },
+    }));
+    unscheduled.push({
+      ...(configured.length > 0 && { system: { $notIn: configured } }),
+      reviewBy: null,
+      publishedAt: { $lte: addMonths(now, -this.getReviewMonths(null)) },
+    });
+
+    const posts = await strapi.db.query(UID).findMany({
+      select: STALE_FIELDS,
+      where: {
+        publishedAt: { $notNull: true },
+        ...(system && { system }),
+        $or: [{ reviewBy: { $lte: today } }, ...unscheduled],
+      },
+    });
+
+    return posts
+      .map((post) => {
+        const reviewDue = this.getReviewDue(post);
+        return {
+          ...post,
+          reviewDue,
+          daysOverdue: Math.floor((Date.parse(today) - Date.parse(reviewDue)) / DAY_MS),
+        };
+      })
+      .sort((a, b) => b.daysOverdue - a.daysOverdue);
+  },
+
+  /**
+   * Send stale posts back to the review queue: the draft moves to
+   * pending_review, gets a reviewer and the reviewer is notified.
+   * Posts already being reworked (draft, in review, rejected) are skipped.
+   *
+   * @returns {Promise<string[]>} slugs of the requeued posts
+   */
+  async requeueStale(now = new Date()) {
+    const workflow = strapi.service('api::blog-post.workflow');
+    const requeued = [];
+
+    for (const stale of await this.findStale({}, now)) {
+      const draft = await strapi.db.query(UID).findOne({
+        where: { documentId: stale.documentId, publishedAt: null },
+      });
+
+      if (!draft || !APPROVED_STATUSES.includes(draft.reviewStatus)) continue;
+
+      try {
+        const reviewer = await strapi.service('api::blog-post.reviewers').pick(draft.system);
+        const updated = await workflow.transition(
+          draft, 'pending_review', workflow.getActor(),
+          { comment: `Content review due since ${stale.reviewDue}` },
+          reviewer ? { reviewer: reviewer.documentId } : {}
+        );
+        await strapi.service('api::blog-post.notifications').postSubmitted(updated);
+        strapi.log.info(`Stale post back in review: "${draft.title}" (${draft.documentId})`);
+        requeued.push(draft.slug);
+      } catch (error) {
+        strapi.log.error(`Requeue of stale post "${draft.title}" (${draft.documentId}) failed: ${error.message}`);
+      }
+    }
+
+    return requeued;
+  },
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Email notifications for the editorial workflow.
+ *
+ * Sent through the Strapi email plugin (provider configured in
+ * config/plugins.js). A failed email is logged and never blocks the
+ * workflow action that triggered it.
+ */
+
+const UID = 'api::blog-post.blog-post';
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * Post submitted for review: tell the assigned reviewer
+   * (or the editors mailbox when nobody is assigned).
+   */
+  async postSubmitted(post) {
+    const { reviewer } = await this.loadPeople(post);
+    const to = (reviewer && reviewer.email) || strapi.config.get('workflow.notifications.editorsEmail');
+
+    await this.send(to, `[Review] ${post.title}`, [
+      `Articolul "${post.title}" (${post.system}) a fost trimis spre review.`,
+      '',
+      `Deschide articolul: ${this.adminUrl(post)}`,
+    ]);
+  },
+
+  /**
+   * Post approved: tell the author. A post of a regulated system goes on to
+   * the compliance review, so the compliance team is told as well.
+   */
+  async postApproved(post) {
+    const { author } = await this.loadPeople(post);
+    const awaitsCompliance = strapi.service('api::blog-post.workflow').awaitsCompliance(post);
+
+    await this.send(author && author.email, `[Aprobat] ${post.title}`, [
+      awaitsCompliance
+        ? `Articolul "${post.title}" a fost aprobat editorial si asteapta avizul de conformitate.`
+        : `Articolul "${post.title}" a fost aprobat si poate fi publicat.`,
+      '',
+      `Deschide articolul: ${this.adminUrl(post)}`,
+    ]);
+
+    if (awaitsCompliance) {
+      await this.send(strapi.config.get('workflow.notifications.complianceEmail'), `[Conformitate] ${post.title}`, [
+        `Articolul "${post.title}" (${post.system}) a fost aprobat editorial si asteapta avizul de conformitate.`,
+        '',
+        `Deschide articolul: ${this.adminUrl(post)}`,
+      ]);
+    }
+  },
+
+  /**
+   * Post compliance-approved: tell the author.
+   */
+  async postComplianceApproved(post) {
+    const { author } = await this.loadPeople(post);
+
+    await this.send(author && author.email, `[Aprobat conformitate] ${post.title}`, [
+      `Articolul "${post.title}" a primit avizul de conformitate si poate fi publicat.`,
+      '',
+      `Deschide articolul: ${this.adminUrl(post)}`,
+    ]);
+  },
+
+  /**
+   * Post rejected: tell the author why.
+   *
+   * @param {string} reason - Rejection reason key (config/workflow.js)
+   * @param {string} comment - Reviewer explanation
+   */
+  async postRejected(post, reason, comment) {
+    const { author } = await this.loadPeople(post);
+    const reasons = strapi.config.get('workflow.rejectionReasons', {});
+
+    await this.send(author && author.email, `[Respins] ${post.title}`, [
+      `Articolul "${post.title}" a fost respins.`,
+      '',
+      `Motiv: ${reasons[reason] || reason}`,
+      `Comentariu: ${comment}`,
+      '',
+      'Corecteaza articolul si trimite-l din nou spre review.',
+      `Deschide articolul: ${this.adminUrl(post)}`,
+    ]);
+  },
+
+  /**
+   * Load the author and reviewer of a post. The author is reached through
+   * the first of these with an email: the users-permissions user who
+   * created the post (owner), the admin user who created it in the admin
+   * panel, the author profile it is signed with.
+   */
+  async loadPeople(post) {
+    const entity = await strapi.db.query(UID).findOne({
+      where: { documentId: post.documentId, publishedAt: null },
+      populate: {
+        owner: { select: ['email'] },
+        createdBy: { select: ['email'] },
+        author: { select: ['email'] },
+        reviewer: { select: ['email'] },
+      },
+    });
+
+    if (!entity) return { author: null, reviewer: null };
+
+    const author = [entity.owner, entity.createdBy, entity.author].find((person) => person && person.email);
+
+    return { author: author || null, reviewer: entity.reviewer };
+  },
+
+  /**
+   * Content Manager edit view of a post.
+   */
+  adminUrl(post) {
+    return `${strapi.config.get('admin.absoluteUrl')}/content-manager/collection-types/${UID}/${post.documentId}`;
+  },
+
+  async send(to, subject, lines) {
+    if (!strapi.config.get('workflow.notifications.enabled', true)) return;
+
+    if (!to) {
+      strapi.log.debug(`Workflow email "${subject}" skipped: no recipient`);
+      return;
+    }
+
+    try {
+      await strapi.plugin('email').service('email').send({
+        to,
+        subject,
+        text: lines.join('\n'),
+      });
+      strapi.log.info(`Workflow email sent to ${to}: ${subject}`);
+    } catch (error) {
+      strapi.log.warn(`Workflow email to ${to} failed: ${error.message}`);
+    }
+  },
+});
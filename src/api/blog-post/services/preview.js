@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * Draft preview links for the Symfony frontend.
+ *
+ * The public API only serves published posts. A preview token lets the
+ * Symfony site fetch the draft of one post (GET /api/blog-posts/preview)
+ * and render it with the real site styles, e.g. for a reviewer:
+ *
+ *   {SYMFONY_BASE_URL}/blog-cms/{system}/{slug}?preview=<token>
+ *
+ * Tokens are `<payload>.<signature>`: the base64url JSON payload
+ * { documentId, exp } signed with HMAC-SHA256 (`preview.secret`,
+ * config/workflow.js). They name the post by documentId, so a link keeps
+ * working when the slug changes, and expire after `preview.ttlHours`.
+ */
+
+const crypto = require('crypto');
+const { errors } = require('@strapi/utils');
+
+function getSecret(strapi) {
+  const secret = strapi.config.get('workflow.preview.secret');
+
+  if (!secret) {
+    throw new errors.ApplicationError('Preview links are not configured (PREVIEW_SECRET is not set)');
+  }
+
+  return secret;
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * Sign a preview token for a blog post.
+   *
+   * @param {object} post - Needs `documentId`, `system` and `slug`
+   * @returns {{ token: string, expiresAt: string, url: string }}
+   */
+  createToken(post, now = new Date()) {
+    const secret = getSecret(strapi);
+    const hours = strapi.config.get('workflow.preview.ttlHours', 48);
+    const exp = now.getTime() + hours * 60 * 60 * 1000;
+
+    const payload = Buffer.from(JSON.stringify({ documentId: post.documentId, exp })).toString('base64url');
+    const token = `${payload}.${sign(payload, secret)}`;
+
+    return { token, expiresAt: new Date(exp).toISOString(), url: this.getUrl(post, token) };
+  },
+
+  /**
+   * Check a preview token.
+   *
+   * @returns {string|null} documentId of the post it was issued for, or null
+   *   when the token is malformed, forged or expired
+   */
+  verifyToken(token, now = new Date()) {
+    const [payload, signature, ...rest] = String(token || '').split('.');
+
+    if (!payload || !signature || rest.length > 0) return null;
+
+    const expected = Buffer.from(sign(payload, getSecret(strapi)));
+    const actual = Buffer.from(signature);
+
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    try {
+      const { documentId, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return documentId && exp > now.getTime() ? documentId : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Page of the post on the Symfony site, with its preview token.
+   */
+  getUrl(post, token) {
+    const baseUrl = strapi.config.get('workflow.preview.frontendUrl', '').replace(/\/+$/, '');
+    return `${baseUrl}/blog-cms/${post.system}/${post.slug}?preview=${encodeURIComponent(token)}`;
+  },
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * Related posts of a published blog post, for the Symfony sidebar.
+ *
+ * Candidates (the other published posts) are scored with the weights of
+ * `related.weights` (config/workflow.js):
+ * - each shared tag
+ * - same category, same system
+ * - text similarity of title + excerpt (share of common words, diacritics folded)
+ *
+ * Posts pinned by the editors (`relatedPosts`) come first, in their order;
+ * the computed ones fill the remaining places.
+ *
+ * Rankings are cached in memory per post and dropped whenever a published
+ * version is created or deleted (blog-post lifecycles), so they are
+ * recomputed on the next request.
+ */
+
+const UID = 'api::blog-post.blog-post';
+
+const POST_FIELDS = [
+  'title', 'slug', 'excerpt', 'system', 'featuredImageUrl', 'featuredImageAlt',
+  'readingTime', 'publishedAt',
+];
+
+// Longest list a ranking keeps
+const MAX_RELATED = 20;
+
+// Words too common to make two posts similar
+const STOP_WORDS = new Set([
+  'ale', 'and', 'are', 'cand', 'care', 'cat', 'cea', 'cel', 'cele', 'cum', 'din', 'dupa', 'este',
+  'fara', 'for', 'iar', 'intre', 'lui', 'mai', 'pentru', 'prin', 'sau', 'sunt', 'the', 'tot',
+  'toate', 'trebuie', 'unde', 'una', 'unei', 'unui', 'with',
+]);
+
+const rankings = new Map(); // documentId => [{ documentId, score, pinned }]
+
+/**
+ * Distinct significant words of a text, diacritics folded.
+ */
+function getWords(text) {
+  const words = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length >= 3 && !STOP_WORDS.has(word));
+
+  return new Set(words);
+}
+
+/**
+ * Share of common words between two word sets (Jaccard index, 0..1).
+ */
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let common = 0;
+  for (const word of a) {
+    if (b.has(word)) common += 1;
+  }
+
+  return common / (a.size + b.size - common);
+}
+
+function toCandidate(post) {
+  return {
+    documentId: post.documentId,
+    system: post.system,
+    category: post.category ? post.category.documentId : null,
+    tags: new Set((post.tags || []).map((tag) => tag.documentId)),
+    words: getWords(`${post.title} ${post.excerpt || ''}`),
+  };
+}
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * Related posts of the published post with a slug, best first.
+   *
+   * @param {string} slug - Slug of the published post
+   * @param {number} limit - Number of posts wanted
+   * @returns {Promise<object[]|null>} [{ post, score, pinned }] (score is null
+   *   for pinned posts), or null when no published post has this slug
+   */
+  async findRelated(slug, limit) {
+    const source = await strapi.documents(UID).findFirst({
+      filters: { slug },
+      status: 'published',
+      fields: ['slug'],
+    });
+
+    if (!source) return null;
+
+    const ranking = (await this.getRanking(source)).slice(0, limit);
+    const posts = await strapi.documents(UID).findMany({
+      filters: { documentId: { $in: ranking.map((entry) => entry.documentId) } },
+      status: 'published',
+      fields: POST_FIELDS,
+      populate: { category: { fields: ['name', 'slug'] }, featuredImage: true },
+    });
+
+    return ranking
+      .map(({ documentId, score, pinned }) => ({
+        post: posts.find((post) => post.documentId === documentId),
+        score,
+        pinned,
+      }))
+      .filter((entry) => entry.post);
+  },
+
+  /**
+   * Ranked related posts of a published post.
+   *
+   * @param {object} post - The published post (documentId)
+   * @returns {Promise<object[]>} up to MAX_RELATED { documentId, score, pinned },
+   *   pinned posts first
+   */
+  async getRanking(post) {
+    if (!rankings.has(post.documentId)) {
+      rankings.set(post.documentId, await this.rank(post.documentId));
+    }
+
+    return rankings.get(post.documentId);
+  },
+
+  async rank(documentId) {
+    const weights = strapi.config.get('workflow.related.weights', {});
+    const posts = await strapi.documents(UID).findMany({
+      status: 'published',
+      fields: ['title', 'excerpt', 'system'],
+      populate: {
+        category: { fields: ['documentId'] },
+        tags: { fields: ['documentId'] },
+        relatedPosts: { fields: ['documentId'] },
+      },
+      limit: -1,
+    });
+
+    const source = posts.find((post) => post.documentId === documentId);
+    if (!source) return [];
+
+    const published = new Set(posts.map((post) => post.documentId));
+    const pinned = (source.relatedPosts || [])
+      .map((related) => related.documentId)
+      .filter((id, index, ids) => id !== documentId && published.has(id) && ids.indexOf(id) === index);
+
+    const target = toCandidate(source);
+    const computed = posts
+      .filter((post) => post.documentId !== documentId && !pinned.includes(post.documentId))
+      .map((post) => {
+        const candidate = toCandidate(post);
+        const sharedTags = [...candidate.tags].filter((tag) => target.tags.has(tag)).length;
+        const score = sharedTags * (weights.tag || 0)
+          + (target.category && candidate.category === target.category ? weights.category || 0 : 0)
+          + (candidate.system === target.system ? weights.system || 0 : 0)
+          + similarity(target.words, candidate.words) * (weights.text || 0);
+
+        return { documentId: post.documentId, score: Math.round(score * 100) / 100, pinned: false };
+      })
+      .filter((candidate) => candidate.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    return [
+      ...pinned.map((id) => ({ documentId: id, score: null, pinned: true })),
+      ...computed,
+    ].slice(0, MAX_RELATED);
+  },
+
+  /**
+   * Drop the cached rankings (a published version changed).
+   */
+  invalidate() {
+    rankings.clear();
+  },
+});
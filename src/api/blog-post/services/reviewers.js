@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Reviewer assignment for blog posts.
+ *
+ * A post submitted for review gets a reviewer: either the one chosen
+ * explicitly, or the next one in a round-robin rotation kept per `system`.
+ * Reviewers are users-permissions users with the Editor (or admin) role;
+ * `reviewersBySystem` in config/workflow.js narrows the pool per system.
+ * The rotation position is persisted in the core store, and advanced in a
+ * transaction holding a lock on its row, so concurrent submissions get
+ * different reviewers.
+ */
+
+const UID = 'api::blog-post.blog-post';
+const USER_UID = 'plugin::users-permissions.user';
+const REVIEWER_ROLES = ['editor', 'admin'];
+
+const ROTATION_STORE = { type: 'api', name: 'blog-post', key: 'reviewer-rotation' };
+// Key of the core store row (`{type}_{name}_{key}`), to lock it
+const ROTATION_STORE_KEY = `${ROTATION_STORE.type}_${ROTATION_STORE.name}_${ROTATION_STORE.key}`;
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * Users who can review posts of a system, ordered by id.
+   */
+  async getEligible(system) {
+    const users = await strapi.db.query(USER_UID).findMany({
+      where: {
+        blocked: false,
+        role: { type: { $in: REVIEWER_ROLES } },
+      },
+      orderBy: { id: 'asc' },
+    });
+
+    const pool = strapi.config.get('workflow.reviewersBySystem', {})[system];
+    if (!pool || pool.length === 0) return users;
+
+    return users.filter((user) => pool.includes(user.username) || pool.includes(user.email));
+  },
+
+  /**
+   * Whether a user id belongs to a reviewer (for explicit assignment).
+   */
+  async isReviewer(userId) {
+    const user = await strapi.db.query(USER_UID).findOne({
+      where: { id: userId, blocked: false, role: { type: { $in: REVIEWER_ROLES } } },
+    });
+    return Boolean(user);
+  },
+
+  /**
+   * Pick the next reviewer of a system in the rotation and advance it.
+   *
+   * @returns {Promise<object|null>} The user, or null if nobody is eligible
+   */
+  async nextInRotation(system) {
+    const eligible = await this.getEligible(system);
+    if (eligible.length === 0) return null;
+
+    return strapi.db.transaction(async () => {
+      await strapi.db.queryBuilder('strapi::core-store').select(['id']).where({ key: ROTATION_STORE_KEY }).forUpdate().execute();
+
+      const store = strapi.store(ROTATION_STORE);
+      const rotation = (await store.get()) || {};
+
+      const next = eligible.find((user) => user.id > (rotation[system] || 0)) || eligible[0];
+
+      await store.set({ value: { ...rotation, [system]: next.id } });
+      return next;
+    });
+  },
+
+  /**
+   * The reviewer for a post of a system: the explicit choice, or the next
+   * one in the rotation.
+   *
+   * @param {string} system - The post's system
+   * @param {number} [reviewerId] - Explicit choice; round-robin when omitted
+   * @returns {Promise<object|null>} The user, or null if nobody is eligible
+   */
+  async pick(system, reviewerId = null) {
+    return reviewerId
+      ? strapi.db.query(USER_UID).findOne({ where: { id: reviewerId } })
+      : this.nextInRotation(system);
+  },
+
+  /**
+   * Assign a reviewer to a blog post.
+   *
+   * @param {object} post - The blog post entity
+   * @param {number} [reviewerId] - Explicit choice; round-robin when omitted
+   * @returns {Promise<object|null>} The assigned user
+   */
+  async assign(post, reviewerId = null) {
+    const reviewer = await this.pick(post.system, reviewerId);
+
+    if (!reviewer) return null;
+
+    await strapi.documents(UID).update({
+      documentId: post.documentId,
+      data: { reviewer: reviewer.documentId },
+    });
+
+    return reviewer;
+  },
+});
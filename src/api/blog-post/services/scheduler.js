@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * Scheduled publish / unpublish of blog posts.
+ *
+ * The schedule lives on the posts themselves (`publishAt`, `unpublishAt`),
+ * so it survives restarts. `runDueJobs` is run every minute by the cron task
+ * in config/cron-tasks.js and once at bootstrap to catch up on jobs missed
+ * while the server was down.
+ *
+ * A schedule is consumed once it has run: the date is cleared on the post.
+ * Posts scheduled for publishing wait until they are publishable, i.e.
+ * approved, or compliance-approved for regulated systems (see the publish
+ * guard in the blog-post lifecycles).
+ */
+
+const UID = 'api::blog-post.blog-post';
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * Publish and unpublish every post whose scheduled date has passed.
+   *
+   * @returns {Promise<{ published: string[], unpublished: string[] }>} slugs
+   */
+  async runDueJobs(now = new Date()) {
+    const published = [];
+    const unpublished = [];
+
+    const toPublish = await strapi.db.query(UID).findMany({
+      where: {
+        publishedAt: null,
+        publishAt: { $lte: now },
+        $and: [
+          strapi.service('api::blog-post.workflow').publishableWhere(),
+          { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] },
+        ],
+      },
+    });
+
+    for (const post of toPublish) {
+      try {
+        await strapi.documents(UID).publish({ documentId: post.documentId });
+        await this.clearSchedule(post.documentId, 'publishAt');
+        await strapi.service('api::blog-post.symfony-cache').invalidate(post.slug, 'entry.publish');
+        strapi.log.info(`Scheduled publish: "${post.title}" (${post.documentId})`);
+        published.push(post.slug);
+      } catch (error) {
+        strapi.log.error(`Scheduled publish failed for "${post.title}" (${post.documentId}): ${error.message}`);
+      }
+    }
+
+    const toUnpublish = await this.findScheduledUnpublish({ $lte: now });
+
+    for (const post of toUnpublish) {
+      try {
+        await strapi.documents(UID).unpublish({ documentId: post.documentId });
+        await this.clearSchedule(post.documentId, 'unpublishAt');
+        await strapi.service('api::blog-post.symfony-cache').invalidate(post.slug, 'entry.unpublish');
+        strapi.log.info(`Scheduled unpublish: "${post.title}" (${post.documentId})`);
+        unpublished.push(post.slug);
+      } catch (error) {
+        strapi.log.error(`Scheduled unpublish failed for "${post.title}" (${post.documentId}): ${error.message}`);
+      }
+    }
+
+    return { published, unpublished };
+  },
+
+  /**
+   * Published versions of the posts whose draft schedules an unpublish
+   * matching a condition, with the draft's `unpublishAt`: the schedule is
+   * edited on the draft, the published version keeps the date it had when
+   * it was published.
+   *
+   * @param {object} unpublishAt - Condition on the date, e.g. { $lte: now }
+   * @param {object} [query] - Query of the published versions (where, select, populate)
+   */
+  async findScheduledUnpublish(unpublishAt, { where = {}, ...query } = {}) {
+    const drafts = await strapi.db.query(UID).findMany({
+      select: ['documentId', 'unpublishAt'],
+      where: { publishedAt: null, unpublishAt },
+    });
+
+    if (drafts.length === 0) return [];
+
+    const dates = new Map(drafts.map((draft) => [draft.documentId, draft.unpublishAt]));
+    const posts = await strapi.db.query(UID).findMany({
+      ...query,
+      where: { ...where, publishedAt: { $notNull: true }, documentId: { $in: [...dates.keys()] } },
+    });
+
+    return posts.map((post) => ({ ...post, unpublishAt: dates.get(post.documentId) }));
+  },
+
+  /**
+   * Mark a schedule as done on every version of the post.
+   * Goes through the query engine so the draft is not flagged as modified.
+   */
+  async clearSchedule(documentId, field) {
+    await strapi.db.query(UID).updateMany({
+      where: { documentId },
+      data: { [field]: null },
+    });
+  },
+});
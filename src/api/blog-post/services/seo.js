@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * SEO analysis of a blog post draft, run by the blog-post lifecycles on
+ * every save that touches what it checks (`seoScore` + `seoWarnings`):
+ * - the focus keyword in the title, slug, first paragraph and H2 headings
+ * - heading hierarchy: no H1 in the content (the title is the page's H1),
+ *   no skipped levels
+ * - missing meta title / meta description
+ * - meta title already used by another post
+ * - meta description repeating the excerpt
+ *
+ * The score starts at 100 and each warning takes off its penalty. Posts
+ * scoring below `seo.minScore` (config/workflow.js) cannot be submitted
+ * for review. Keywords and texts are compared with diacritics folded.
+ */
+
+const { errors } = require('@strapi/utils');
+
+const UID = 'api::blog-post.blog-post';
+
+// Points taken off the score by each warning
+const PENALTIES = {
+  missing_focus_keyword: 40,
+  keyword_not_in_title: 10,
+  keyword_not_in_slug: 10,
+  keyword_not_in_intro: 10,
+  keyword_not_in_headings: 10,
+  heading_h1: 5,
+  heading_skipped_level: 5,
+  missing_meta_title: 15,
+  missing_meta_description: 15,
+  duplicate_meta_title: 10,
+  excerpt_meta_overlap: 10,
+};
+
+// Share of the meta description words also in the excerpt that counts as a repeat
+const MAX_OVERLAP = 0.8;
+
+/**
+ * Lowercase words of a text, diacritics folded, joined by single spaces.
+ */
+function fold(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Whether a text contains the (folded) keyword as whole words.
+ */
+function contains(text, keyword) {
+  return ` ${fold(text)} `.includes(` ${keyword} `);
+}
+
+/**
+ * Plain text of a block node (text leaves, links included).
+ */
+function getText(node) {
+  if (!node) return '';
+  if (typeof node.text === 'string') return node.text;
+  return (node.children || []).map(getText).join('');
+}
+
+function warning(code, message) {
+  return { code, message };
+}
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * Analyze a post.
+   *
+   * @param {object} post - The post's fields (focusKeyword, title, slug,
+   *   content, excerpt, metaTitle, metaDescription; documentId to skip the
+   *   post itself in the duplicate meta title check)
+   * @returns {Promise<object>} { seoScore, seoWarnings: [{ code, message }] }
+   */
+  async analyze(post) {
+    const warnings = [
+      ...this.checkKeyword(post),
+      ...this.checkHeadings(post.content),
+      ...this.checkMeta(post),
+      ...(await this.checkDuplicateMetaTitle(post)),
+    ];
+    const penalty = warnings.reduce((total, { code }) => total + PENALTIES[code], 0);
+
+    return { seoScore: Math.max(0, 100 - penalty), seoWarnings: warnings };
+  },
+
+  checkKeyword(post) {
+    const keyword = fold(post.focusKeyword);
+
+    if (!keyword) {
+      return [warning('missing_focus_keyword', 'No focus keyword is set')];
+    }
+
+    const blocks = Array.isArray(post.content) ? post.content : [];
+    const intro = blocks.find((block) => block.type === 'paragraph' && getText(block).trim());
+    const headings = blocks.filter((block) => block.type === 'heading' && block.level === 2);
+    const warnings = [];
+
+    if (!contains(post.title, keyword)) {
+      warnings.push(warning('keyword_not_in_title', `The title does not contain "${post.focusKeyword}"`));
+    }
+    if (!contains(String(post.slug || '').replace(/-/g, ' '), keyword)) {
+      warnings.push(warning('keyword_not_in_slug', `The slug does not contain "${post.focusKeyword}"`));
+    }
+    if (!intro || !contains(getText(intro), keyword)) {
+      warnings.push(warning('keyword_not_in_intro', `The first paragraph does not contain "${post.focusKeyword}"`));
+    }
+    if (!headings.some((heading) => contains(getText(heading), keyword))) {
+      warnings.push(warning('keyword_not_in_headings', `No H2 heading contains "${post.focusKeyword}"`));
+    }
+
+    return warnings;
+  },
+
+  /**
+   * Heading levels must go down one at a time, starting from H2.
+   */
+  checkHeadings(blocks) {
+    const headings = (Array.isArray(blocks) ? blocks : []).filter((block) => block.type === 'heading');
+    const warnings = [];
+
+    if (headings.some((heading) => heading.level === 1)) {
+      warnings.push(warning('heading_h1', 'The content has an H1 heading; the title is the H1 of the page'));
+    }
+
+    let previous = 1;
+    for (const heading of headings) {
+      if (heading.level > previous + 1) {
+        warnings.push(warning(
+          'heading_skipped_level',
+          `"${getText(heading)}" is an H${heading.level} following an H${previous}`
+        ));
+        break;
+      }
+      previous = heading.level;
+    }
+
+    return warnings;
+  },
+
+  checkMeta(post) {
+    const warnings = [];
+
+    if (!post.metaTitle) {
+      warnings.push(warning('missing_meta_title', 'No meta title is set'));
+    }
+
+    if (!post.metaDescription) {
+      warnings.push(warning('missing_meta_description', 'No meta description is set'));
+    } else if (post.excerpt) {
+      const meta = new Set(fold(post.metaDescription).split(' ').filter(Boolean));
+      const excerpt = new Set(fold(post.excerpt).split(' '));
+      const common = [...meta].filter((word) => excerpt.has(word)).length;
+
+      if (meta.size > 0 && common / meta.size >= MAX_OVERLAP) {
+        warnings.push(warning('excerpt_meta_overlap', 'The meta description repeats the excerpt'));
+      }
+    }
+
+    return warnings;
+  },
+
+  async checkDuplicateMetaTitle(post) {
+    if (!post.metaTitle) return [];
+
+    const other = await strapi.db.query(UID).findOne({
+      select: ['title', 'system', 'slug'],
+      where: {
+        metaTitle: { $eqi: post.metaTitle },
+        ...(post.documentId && { documentId: { $ne: post.documentId } }),
+      },
+    });
+
+    return other
+      ? [warning('duplicate_meta_title', `The meta title is already used by "${other.title}" (/blog-cms/${other.system}/${other.slug})`)]
+      : [];
+  },
+
+  /**
+   * Refuse to submit a post scoring below the configured minimum. The
+   * analysis is run again, as other posts may have taken its meta title.
+   *
+   * @throws {ValidationError} listing the warnings
+   */
+  async assertSubmittable(post) {
+    const minScore = strapi.config.get('workflow.seo.minScore', 0);
+    const { seoScore, seoWarnings } = await this.analyze(post);
+
+    if (seoScore < minScore) {
+      throw new errors.ValidationError(
+        `SEO score ${seoScore} is below the ${minScore} required to submit for review`,
+        { seoScore, seoWarnings }
+      );
+    }
+  },
+});
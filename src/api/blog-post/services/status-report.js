@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * Review status lists and counts for the editorial dashboard.
+ *
+ * Works on the drafts, which carry the current reviewStatus of every post
+ * (published or not). Lists are paginated and return a light projection of
+ * the post by default: no content blocks.
+ */
+
+const UID = 'api::blog-post.blog-post';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+
+const LIST_FIELDS = [
+  'title', 'slug', 'excerpt', 'system', 'reviewStatus', 'readingTime',
+  'metaTitle', 'metaDescription', 'featuredImageUrl', 'authorName',
+  'publishAt', 'unpublishAt', 'reviewBy', 'createdAt', 'updatedAt',
+];
+
+const LIST_POPULATE = {
+  category: { fields: ['name', 'slug'] },
+  author: { fields: ['name', 'slug'] },
+  tags: { fields: ['name', 'slug'] },
+};
+
+module.exports = ({ strapi }) => ({
+  LIST_FIELDS,
+
+  /**
+   * Whether a query parameter is a day formatted as YYYY-MM-DD (date
+   * filters of the dashboard lists and of the editorial calendar).
+   */
+  isValidDate(value) {
+    return DATE_FORMAT.test(value) && !Number.isNaN(Date.parse(value));
+  },
+
+  /**
+   * One page of the posts in a review status, most recently updated first.
+   *
+   * @param {string} status - reviewStatus
+   * @param {object} options
+   * @param {number} options.page
+   * @param {number} options.pageSize
+   * @param {string} [options.system] - Only posts of this system
+   * @param {string} [options.category] - Category slug
+   * @param {string} [options.author] - Author slug
+   * @param {string} [options.from] - Updated on or after (YYYY-MM-DD)
+   * @param {string} [options.to] - Updated on or before (YYYY-MM-DD)
+   * @param {string[]} [options.fields] - Projection (LIST_FIELDS by default)
+   * @returns {Promise<{ results: object[], pagination: object }>}
+   */
+  async list(status, { page, pageSize, system, category, author, from, to, fields = LIST_FIELDS }) {
+    const filters = { reviewStatus: status };
+
+    if (system) filters.system = system;
+    if (category) filters.category = { slug: category };
+    if (author) filters.author = { slug: author };
+
+    if (from || to) {
+      filters.updatedAt = {
+        ...(from && { $gte: new Date(from) }),
+        ...(to && { $lt: new Date(Date.parse(to) + DAY_MS) }),
+      };
+    }
+
+    const [results, total] = await Promise.all([
+      strapi.documents(UID).findMany({
+        status: 'draft',
+        filters,
+        fields: [...fields], // the document service adds id/documentId to the list it gets
+        populate: LIST_POPULATE,
+        sort: 'updatedAt:desc',
+        start: (page - 1) * pageSize,
+        limit: pageSize,
+      }),
+      strapi.documents(UID).count({ status: 'draft', filters }),
+    ]);
+
+    return {
+      results,
+      pagination: { page, pageSize, pageCount: Math.ceil(total / pageSize), total },
+    };
+  },
+
+  /**
+   * Post counts per review status, overall and per system, plus the number
+   * of posts currently live.
+   */
+  async summary() {
+    const { attributes } = strapi.getModel(UID);
+    const statuses = attributes.reviewStatus.enum;
+
+    const emptyCounts = () => ({
+      total: 0,
+      published: 0,
+      byStatus: Object.fromEntries(statuses.map((status) => [status, 0])),
+    });
+
+    const summary = emptyCounts();
+    const bySystem = Object.fromEntries(attributes.system.enum.map((system) => [system, emptyCounts()]));
+
+    const [drafts, published] = await Promise.all([
+      strapi.db.query(UID).findMany({ select: ['system', 'reviewStatus'], where: { publishedAt: null } }),
+      strapi.db.query(UID).findMany({ select: ['system'], where: { publishedAt: { $notNull: true } } }),
+    ]);
+
+    for (const post of drafts) {
+      for (const counts of [summary, bySystem[post.system]]) {
+        if (!counts) continue;
+        counts.total += 1;
+        counts.byStatus[post.reviewStatus] += 1;
+      }
+    }
+
+    for (const post of published) {
+      summary.published += 1;
+      if (bySystem[post.system]) bySystem[post.system].published += 1;
+    }
+
+    return { ...summary, bySystem };
+  },
+});
@@ -0,0 +1,277 @@
+'use strict';
+
+/**
+ * Structured data (schema.org JSON-LD) of a blog post, generated for the
+ * Symfony templates, which print it as is in a
+ * <script type="application/ld+json"> tag:
+ * - article: BlogPosting (headline, image, author, publisher, dates, category, tags)
+ * - breadcrumbs: BreadcrumbList following /blog-cms/{system}/{slug}
+ * - faqPage: FAQPage from the post's FAQ items (`faq` component)
+ *
+ * Site URL and publisher come from `structuredData` (config/workflow.js).
+ * Rich text answers are rendered to the HTML subset Google reads in FAQ
+ * answers (paragraphs, lists, links, bold, italic).
+ */
+
+const UID = 'api::blog-post.blog-post';
+
+// Everything the structured data is built from, whatever the response holds
+const SOURCE_FIELDS = [
+  'title', 'slug', 'excerpt', 'metaDescription', 'system', 'featuredImageUrl',
+  'readingTime', 'authorName', 'publishedAt', 'updatedAt',
+];
+
+const SOURCE_POPULATE = {
+  featuredImage: true,
+  category: { select: ['name', 'slug'] },
+  tags: { select: ['name'] },
+  author: { select: ['name', 'slug', 'jobTitle'], populate: { photo: true, socialLinks: true } },
+  faq: true,
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Render inline nodes (text with bold/italic, links) to HTML.
+ */
+function renderInline(nodes) {
+  return (nodes || []).map((node) => {
+    if (node.type === 'link') {
+      return `<a href="${escapeHtml(node.url || '')}">${renderInline(node.children)}</a>`;
+    }
+
+    let html = escapeHtml(node.text || '');
+    if (node.bold) html = `<strong>${html}</strong>`;
+    if (node.italic) html = `<em>${html}</em>`;
+    return html;
+  }).join('');
+}
+
+/**
+ * Render content blocks to the HTML allowed in an FAQ answer.
+ */
+function renderBlocks(blocks) {
+  return (blocks || []).map((block) => {
+    switch (block.type) {
+      case 'paragraph':
+      case 'quote':
+        return `<p>${renderInline(block.children)}</p>`;
+      case 'heading':
+        return `<p><strong>${renderInline(block.children)}</strong></p>`;
+      case 'list': {
+        const tag = block.format === 'ordered' ? 'ol' : 'ul';
+        const items = (block.children || []).map((item) => `<li>${renderInline(item.children)}</li>`).join('');
+        return `<${tag}>${items}</${tag}>`;
+      }
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('');
+}
+
+/**
+ * Absolute URL of a path or URL, against a base URL.
+ */
+function toAbsolute(url, base) {
+  if (!url) return null;
+
+  try {
+    return new URL(url, `${base.replace(/\/+$/, '')}/`).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+function toDate(value) {
+  return value ? new Date(value).toISOString() : undefined;
+}
+
+module.exports = ({ strapi }) => ({
+
+  getConfig() {
+    return strapi.config.get('workflow.structuredData', {});
+  },
+
+  /**
+   * Public URL of a post on the Symfony site.
+   */
+  getPostUrl(post) {
+    return toAbsolute(`/blog-cms/${post.system}/${post.slug}`, this.getConfig().siteUrl);
+  },
+
+  /**
+   * Absolute URL of the post's image: the uploaded featured image (served
+   * by Strapi), else `featuredImageUrl` (an asset of the Symfony site).
+   */
+  getImageUrl(post) {
+    if (post.featuredImage && post.featuredImage.url) {
+      return toAbsolute(post.featuredImage.url, strapi.config.get('server.absoluteUrl', ''));
+    }
+
+    return toAbsolute(post.featuredImageUrl, this.getConfig().siteUrl);
+  },
+
+  /**
+   * Author of a post: its author profile, else the free-text `authorName`,
+   * else the publisher.
+   */
+  author(post) {
+    const { author } = post;
+
+    if (author && author.name) {
+      const sameAs = (author.socialLinks || []).map((link) => link.url).filter(Boolean);
+      const image = author.photo && author.photo.url
+        ? toAbsolute(author.photo.url, strapi.config.get('server.absoluteUrl', ''))
+        : null;
+
+      return {
+        '@type': 'Person',
+        name: author.name,
+        ...(author.jobTitle && { jobTitle: author.jobTitle }),
+        ...(image && { image }),
+        ...(sameAs.length > 0 && { sameAs }),
+      };
+    }
+
+    if (post.authorName) {
+      return { '@type': 'Person', name: post.authorName };
+    }
+
+    return this.publisher();
+  },
+
+  publisher() {
+    const { siteUrl, publisher = {} } = this.getConfig();
+
+    return {
+      '@type': 'Organization',
+      name: publisher.name,
+      url: toAbsolute('/', siteUrl),
+      ...(publisher.logoUrl && {
+        logo: { '@type': 'ImageObject', url: toAbsolute(publisher.logoUrl, siteUrl) },
+      }),
+    };
+  },
+
+  /**
+   * BlogPosting JSON-LD of a post.
+   *
+   * @param {object} post - Post with SOURCE_FIELDS and SOURCE_POPULATE
+   */
+  article(post) {
+    const url = this.getPostUrl(post);
+    const image = this.getImageUrl(post);
+    const keywords = (post.tags || []).map((tag) => tag.name).filter(Boolean);
+
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'BlogPosting',
+      headline: post.title,
+      description: post.metaDescription || post.excerpt || undefined,
+      image: image ? [image] : undefined,
+      author: this.author(post),
+      publisher: this.publisher(),
+      datePublished: toDate(post.publishedAt),
+      // The published version keeps the draft's updatedAt, older than its publishedAt
+      dateModified: toDate([post.updatedAt, post.publishedAt].filter(Boolean).sort((a, b) => new Date(b) - new Date(a))[0]),
+      articleSection: post.category ? post.category.name : undefined,
+      keywords: keywords.length > 0 ? keywords.join(', ') : undefined,
+      timeRequired: post.readingTime ? `PT${post.readingTime}M` : undefined,
+      inLanguage: 'ro-RO',
+      url,
+      mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+    };
+  },
+
+  /**
+   * BreadcrumbList JSON-LD of a post: home › blog › system › post.
+   *
+   * @param {object} post - Post (title, system, slug)
+   * @param {string} [systemLabel] - Name of the system (its category)
+   */
+  breadcrumbs(post, systemLabel) {
+    const { siteUrl } = this.getConfig();
+    const items = [
+      { name: 'Acasa', url: toAbsolute('/', siteUrl) },
+      { name: 'Blog', url: toAbsolute('/blog-cms', siteUrl) },
+      { name: systemLabel || post.system.toUpperCase(), url: toAbsolute(`/blog-cms/${post.system}`, siteUrl) },
+      { name: post.title, url: this.getPostUrl(post) },
+    ];
+
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'BreadcrumbList',
+      itemListElement: items.map((item, index) => ({
+        '@type': 'ListItem',
+        position: index + 1,
+        name: item.name,
+        item: item.url,
+      })),
+    };
+  },
+
+  /**
+   * FAQPage JSON-LD of a post's FAQ items, or null without any.
+   *
+   * @param {object[]} faq - FAQ items ({ question, answer })
+   */
+  faqPage(faq) {
+    const items = (faq || []).filter((item) => item.question && item.answer);
+
+    if (items.length === 0) return null;
+
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'FAQPage',
+      mainEntity: items.map((item) => ({
+        '@type': 'Question',
+        name: item.question,
+        acceptedAnswer: {
+          '@type': 'Answer',
+          text: renderBlocks(item.answer),
+        },
+      })),
+    };
+  },
+
+  /**
+   * Add `structuredData` to blog post entries of an API response. What it
+   * is built from is loaded here, so it does not depend on the fields and
+   * relations the request asked for.
+   *
+   * @param {object[]} entries - Blog post entries (need `id`)
+   */
+  async attach(entries) {
+    const list = (entries || []).filter((entry) => entry && entry.id);
+    if (list.length === 0) return;
+
+    const posts = await strapi.db.query(UID).findMany({
+      select: ['id', ...SOURCE_FIELDS],
+      where: { id: { $in: list.map((entry) => entry.id) } },
+      populate: SOURCE_POPULATE,
+    });
+
+    // Each system is listed under the category with the same slug
+    const categories = await strapi.db.query('api::category.category').findMany({
+      select: ['name', 'slug'],
+      where: { slug: { $in: [...new Set(posts.map((post) => post.system))] } },
+    });
+
+    for (const entry of list) {
+      const post = posts.find((item) => item.id === entry.id);
+      if (!post) continue;
+
+      const category = categories.find((item) => item.slug === post.system);
+
+      entry.structuredData = {
+        article: this.article(post),
+        breadcrumbs: this.breadcrumbs(post, category && category.name),
+        faqPage: this.faqPage(post.faq),
+      };
+    }
+  },
+});
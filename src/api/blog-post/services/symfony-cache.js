@@ -0,0 +1,82 @@
+'use strict';
+
+/**
+ * Symfony cache invalidation.
+ *
+ * Sends the cache invalidation webhook to the Symfony frontend
+ * (POST {SYMFONY_BASE_URL}/cms-webhook/invalidate) for a blog post slug.
+ * Used by the blog-post lifecycles and by the publish scheduler.
+ *
+ * Inside batch(), invalidations are collected instead of sent, and each
+ * slug is invalidated once when the batch is done.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const batches = new AsyncLocalStorage();
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * Send cache invalidation webhook to Symfony.
+   *
+   * @param {string} slug - Slug of the blog post to invalidate
+   * @param {string} [event] - Strapi event name forwarded to Symfony
+   */
+  async invalidate(slug, event = 'entry.update') {
+    const batch = batches.getStore();
+
+    if (batch) {
+      batch.set(slug, event);
+      return;
+    }
+
+    await this.send({ event, model: 'blog-post', entry: { slug } });
+  },
+
+  /**
+   * Run `fn` and send the invalidations it triggers once it is done: one
+   * webhook per slug, with the last event of that slug, in the usual
+   * { event, model, entry: { slug } } format.
+   *
+   * @param {Function} fn - async function doing the updates
+   * @returns {Promise<*>} what `fn` returns
+   */
+  async batch(fn) {
+    const events = new Map(); // slug => last event
+    const result = await batches.run(events, fn);
+
+    for (const [slug, event] of events) {
+      await this.send({ event, model: 'blog-post', entry: { slug } });
+    }
+
+    return result;
+  },
+
+  async send(payload) {
+    const webhookUrl = process.env.SYMFONY_BASE_URL;
+    const webhookSecret = process.env.WEBHOOK_SECRET;
+
+    if (!webhookUrl || !webhookSecret) return;
+
+    try {
+      const url = `${webhookUrl}/cms-webhook/invalidate`;
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Strapi-Webhook-Secret': webhookSecret,
+        },
+        body: JSON.stringify(payload),
+      });
+
+      if (!response.ok) {
+        strapi.log.warn(`Symfony cache invalidation failed: ${response.status}`);
+      } else {
+        strapi.log.info(`Symfony cache invalidated for slug: ${payload.entry.slug}`);
+      }
+    } catch (error) {
+      strapi.log.warn(`Symfony cache invalidation error: ${error.message}`);
+    }
+  },
+});
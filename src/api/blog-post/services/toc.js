@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Table of contents of a blog post, derived from its heading blocks.
+ *
+ * Level 2 and 3 headings get an anchor id (`id` on the heading node), which
+ * the Symfony template renders as the heading's HTML id. A heading that
+ * already has an id keeps it, so links to a section survive edits of its
+ * title; new headings get one from their text, with Romanian diacritics
+ * folded (ă â î ș ț → a a i s t). Ids are unique within the post.
+ *
+ * `tocItems` ({ href, title }) is rebuilt from these headings on every save,
+ * unless the post opts out with `autoToc: false` (curated table of contents).
+ */
+
+const TOC_LEVELS = [2, 3];
+const MAX_ANCHOR_LENGTH = 80;
+const ANCHOR_FORMAT = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+/**
+ * Plain text of a block node (text leaves, links included).
+ */
+function getText(node) {
+  if (!node) return '';
+  if (typeof node.text === 'string') return node.text;
+  return (node.children || []).map(getText).join('');
+}
+
+/**
+ * Anchor id for a heading text: "Ce acoperă asigurarea RCA?" → "ce-acopera-asigurarea-rca"
+ */
+function toAnchor(text) {
+  const anchor = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_ANCHOR_LENGTH)
+    .replace(/^-+|-+$/g, '');
+
+  return anchor || 'sectiune';
+}
+
+function isTocHeading(block) {
+  return Boolean(block && block.type === 'heading' && TOC_LEVELS.includes(block.level));
+}
+
+module.exports = () => ({
+
+  toAnchor,
+
+  /**
+   * Give every level 2/3 heading an anchor id and list them.
+   *
+   * @param {object[]} blocks - Content blocks
+   * @returns {{ content: object[], tocItems: object[] }} the blocks with the
+   *   ids set (new objects, the input is left as is) and the table of contents
+   */
+  build(blocks) {
+    if (!Array.isArray(blocks)) {
+      return { content: blocks, tocItems: [] };
+    }
+
+    const used = new Set();
+    const unique = (anchor) => {
+      let candidate = anchor;
+      for (let n = 2; used.has(candidate); n += 1) candidate = `${anchor}-${n}`;
+      used.add(candidate);
+      return candidate;
+    };
+
+    const tocItems = [];
+    const content = blocks.map((block) => {
+      if (!isTocHeading(block)) return block;
+
+      const title = getText(block).trim();
+      if (!title) return block;
+
+      const current = typeof block.id === 'string' && ANCHOR_FORMAT.test(block.id) ? block.id : null;
+      const id = unique(current || toAnchor(title));
+
+      tocItems.push({ href: `#${id}`, title, level: block.level });
+      return { ...block, id };
+    });
+
+    return { content, tocItems };
+  },
+});
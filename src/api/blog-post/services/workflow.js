@@ -0,0 +1,304 @@
+'use strict';
+
+/**
+ * Editorial workflow service.
+ *
+ * Resolves the workflow role (author / editor / admin) of whoever is calling
+ * the API, so the route policies can enforce the Author/Editor split:
+ * - users-permissions users: by role type (`author`, `editor`, `compliance`, `admin`)
+ * - API tokens: by token name, mapped in config/workflow.js (`apiTokenRoles`)
+ * - admin panel users: Author, Editor and Super Admin roles
+ *
+ * Also applies review status transitions, so every caller updates the
+ * draft the same way and logs a review event. The workflow actions
+ * (submit, approve, complianceApprove, reject) hold the transition rules
+ * shared by the single-post endpoints and the bulk endpoint; a refused
+ * transition throws a ValidationError (400).
+ *
+ * Review states: draft → pending_review → approved → (compliance_approved)
+ * Posts of the systems listed in `complianceSystems` (config/workflow.js)
+ * need the compliance stage before they are publishable; the others are
+ * publishable once approved.
+ */
+
+const { errors } = require('@strapi/utils');
+
+const WORKFLOW_ROLES = ['author', 'editor', 'compliance', 'admin'];
+const STAFF_ROLES = ['editor', 'admin'];
+
+// Review stages at which each role may reject a post
+const REJECTION_STAGES = {
+  editor: ['pending_review'],
+  compliance: ['compliance'],
+  admin: ['pending_review', 'compliance'],
+};
+
+const ADMIN_ROLE_CODES = {
+  'strapi-super-admin': 'admin',
+  'strapi-editor': 'editor',
+  'strapi-author': 'author',
+};
+
+function isAdminPanelUser(auth) {
+  return Boolean(auth && auth.strategy && auth.strategy.name === 'admin');
+}
+
+function isUsersPermissionsUser(auth) {
+  return Boolean(auth && auth.strategy && auth.strategy.name === 'users-permissions');
+}
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * Get the workflow role of the authenticated caller, or null.
+   * Admin panel users with several roles get the highest one.
+   *
+   * @param {object} state - ctx.state (or policyContext.state)
+   */
+  getRole(state) {
+    const { auth, user } = state;
+
+    if (user && isAdminPanelUser(auth)) {
+      const roles = (user.roles || []).map((role) => ADMIN_ROLE_CODES[role.code]);
+      return [...WORKFLOW_ROLES].reverse().find((role) => roles.includes(role)) || null;
+    }
+
+    if (user && user.role) {
+      return WORKFLOW_ROLES.includes(user.role.type) ? user.role.type : null;
+    }
+
+    if (auth && auth.strategy && auth.strategy.name === 'api-token') {
+      const tokenRoles = strapi.config.get('workflow.apiTokenRoles', {});
+      const role = tokenRoles[auth.credentials.name];
+      return WORKFLOW_ROLES.includes(role) ? role : null;
+    }
+
+    return null;
+  },
+
+  /**
+   * Whether the caller is an editor or admin.
+   */
+  isStaff(state) {
+    return STAFF_ROLES.includes(this.getRole(state));
+  },
+
+  /**
+   * Whether posts of a system need the compliance sign-off.
+   */
+  requiresCompliance(system) {
+    return strapi.config.get('workflow.complianceSystems', []).includes(system);
+  },
+
+  /**
+   * Whether a post has passed every review stage it needs to be published.
+   *
+   * @param {object} post - Needs `reviewStatus` and `system`
+   */
+  isPublishable(post) {
+    if (post.reviewStatus === 'compliance_approved') return true;
+    return post.reviewStatus === 'approved' && !this.requiresCompliance(post.system);
+  },
+
+  /**
+   * Whether a post waits for the compliance sign-off.
+   */
+  awaitsCompliance(post) {
+    return post.reviewStatus === 'approved' && this.requiresCompliance(post.system);
+  },
+
+  /**
+   * Query filter matching publishable posts (see isPublishable).
+   */
+  publishableWhere() {
+    return {
+      $or: [
+        { reviewStatus: 'compliance_approved' },
+        { reviewStatus: 'approved', system: { $notIn: strapi.config.get('workflow.complianceSystems', []) } },
+      ],
+    };
+  },
+
+  /**
+   * Whether the caller is the users-permissions user who created the post.
+   * Admin panel users have their own ids, which may match an owner's.
+   */
+  isOwner(state, post) {
+    const { auth, user } = state;
+    return Boolean(isUsersPermissionsUser(auth) && user && post && post.owner && post.owner.id === user.id);
+  },
+
+  /**
+   * Describe who is calling, for the review log.
+   *
+   * @param {object} [state] - ctx.state; omitted for background jobs
+   * @returns {{ type: string, id: number|null, name: string|null }}
+   */
+  getActor(state) {
+    const { auth, user } = state || {};
+
+    if (user && isAdminPanelUser(auth)) {
+      const name = [user.firstname, user.lastname].filter(Boolean).join(' ');
+      return { type: 'admin', id: user.id, name: name || user.email };
+    }
+
+    if (user) {
+      return { type: 'user', id: user.id, name: user.username || user.email };
+    }
+
+    if (auth && auth.strategy && auth.strategy.name === 'api-token') {
+      return { type: 'api-token', id: auth.credentials.id, name: auth.credentials.name };
+    }
+
+    return { type: 'system', id: null, name: null };
+  },
+
+  /**
+   * Actor of the request being processed, if any (for lifecycles and jobs).
+   */
+  getCurrentActor() {
+    const ctx = strapi.requestContext.get();
+    return this.getActor(ctx && ctx.state);
+  },
+
+  /**
+   * Move a blog post to a new review status and log the transition.
+   * Only the draft is updated: publishing stays a separate, explicit step.
+   * A post that becomes publishable gets its next content review date.
+   *
+   * @param {object} post - The blog post entity (before the transition)
+   * @param {string} toStatus - The new reviewStatus
+   * @param {object} actor - { type, id, name } of whoever triggered it
+   * @param {object} [details] - Optional { comment, reason }
+   * @param {object} [data] - Other fields to save with the status (reviewer)
+   */
+  async transition(post, toStatus, actor, details = {}, data = {}) {
+    const updated = await strapi.documents('api::blog-post.blog-post').update({
+      documentId: post.documentId,
+      data: { ...data, reviewStatus: toStatus },
+    });
+
+    await strapi.service('api::review-event.review-event').record(post, toStatus, actor, details);
+
+    if (this.isPublishable({ ...post, reviewStatus: toStatus })) {
+      await strapi.service('api::blog-post.freshness').renew(post);
+    }
+
+    return updated;
+  },
+
+  /**
+   * Submit a draft or rejected post for review and assign its reviewer:
+   * the one given, or the next one in the rotation of the post's system.
+   * Posts below the minimum SEO score are refused (services/seo.js).
+   *
+   * @param {object} post - The blog post draft
+   * @param {object} state - ctx.state of the caller
+   * @param {object} [details] - Optional { comment, reviewer (user id) }
+   */
+  async submit(post, state, { comment = null, reviewer = null } = {}) {
+    const reviewers = strapi.service('api::blog-post.reviewers');
+
+    if (reviewer && !(await reviewers.isReviewer(reviewer))) {
+      throw new errors.ValidationError('The reviewer must be a user with the Editor role');
+    }
+
+    if (post.reviewStatus !== 'draft' && post.reviewStatus !== 'rejected') {
+      throw new errors.ValidationError('Only draft or rejected posts can be submitted for review');
+    }
+
+    await strapi.service('api::blog-post.seo').assertSubmittable(post);
+
+    // The status and the reviewer are saved together
+    const assigned = await reviewers.pick(post.system, reviewer);
+    const updated = await this.transition(
+      post, 'pending_review', this.getActor(state), { comment },
+      assigned ? { reviewer: assigned.documentId } : {}
+    );
+
+    // Resubmission closes the comment thread of the previous rejection
+    await strapi.service('api::review-comment.review-comment').resolveThread(post.documentId);
+
+    await strapi.service('api::blog-post.notifications').postSubmitted(updated);
+
+    return updated;
+  },
+
+  /**
+   * Editorial approval of a post under review.
+   */
+  async approve(post, state, { comment = null } = {}) {
+    if (post.reviewStatus !== 'pending_review') {
+      throw new errors.ValidationError('Only posts with pending_review status can be approved');
+    }
+
+    const updated = await this.transition(post, 'approved', this.getActor(state), { comment });
+    await strapi.service('api::blog-post.notifications').postApproved(updated);
+
+    return updated;
+  },
+
+  /**
+   * Compliance sign-off of an approved post in a regulated system.
+   */
+  async complianceApprove(post, state, { comment = null } = {}) {
+    if (!this.awaitsCompliance(post)) {
+      throw new errors.ValidationError('Only approved posts of a regulated system can be compliance-approved');
+    }
+
+    const updated = await this.transition(post, 'compliance_approved', this.getActor(state), { comment });
+    await strapi.service('api::blog-post.notifications').postComplianceApproved(updated);
+
+    return updated;
+  },
+
+  /**
+   * Check the reason and explanation of a rejection.
+   * The reason must be a key of `rejectionReasons` (config/workflow.js).
+   */
+  validateRejection({ reason, comment }) {
+    const reasons = strapi.config.get('workflow.rejectionReasons', {});
+
+    if (!reason || !Object.prototype.hasOwnProperty.call(reasons, reason)) {
+      throw new errors.ValidationError(
+        `A rejection reason is required. Must be one of: ${Object.keys(reasons).join(', ')}`
+      );
+    }
+
+    if (!comment) {
+      throw new errors.ValidationError('A comment explaining the rejection is required');
+    }
+  },
+
+  /**
+   * Whether the caller may reject the post at its current review stage
+   * (editorial review or compliance review).
+   */
+  canReject(post, state) {
+    const stages = REJECTION_STAGES[this.getRole(state)] || [];
+    return stages.includes(this.awaitsCompliance(post) ? 'compliance' : post.reviewStatus);
+  },
+
+  /**
+   * Reject a post under review. Editors reject during the editorial review,
+   * compliance reviewers during the compliance review; admins can do both.
+   * The explanation opens the post's comment thread.
+   */
+  async reject(post, state, { reason, comment } = {}) {
+    this.validateRejection({ reason, comment });
+
+    if (!this.canReject(post, state)) {
+      throw new errors.ValidationError(this.getRole(state) === 'compliance'
+        ? 'Only posts awaiting compliance review can be rejected'
+        : 'Only posts with pending_review status can be rejected');
+    }
+
+    const actor = this.getActor(state);
+    const updated = await this.transition(post, 'rejected', actor, { comment, reason });
+
+    await strapi.service('api::review-comment.review-comment').add(post, comment, actor, reason);
+    await strapi.service('api::blog-post.notifications').postRejected(updated, reason, comment);
+
+    return updated;
+  },
+});
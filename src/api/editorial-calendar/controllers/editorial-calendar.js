@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * editorial-calendar controller
+ *
+ * GET /api/editorial-calendar?from=YYYY-MM-DD&to=YYYY-MM-DD&system=rca&category=rca
+ */
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = ({ strapi }) => ({
+  async find(ctx) {
+    const { system, category } = ctx.query;
+    const from = ctx.query.from || new Date().toISOString().slice(0, 10);
+    const report = strapi.service('api::blog-post.status-report');
+
+    if (!report.isValidDate(from) || (ctx.query.to && !report.isValidDate(ctx.query.to))) {
+      return ctx.badRequest('from and to must be dates formatted as YYYY-MM-DD');
+    }
+
+    const to = ctx.query.to || new Date(Date.parse(from) + DEFAULT_RANGE_DAYS * DAY_MS).toISOString().slice(0, 10);
+
+    if (from > to) {
+      return ctx.badRequest('from must not be after to');
+    }
+
+    if ((Date.parse(to) - Date.parse(from)) / DAY_MS > MAX_RANGE_DAYS) {
+      return ctx.badRequest(`The calendar range cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+
+    const systems = strapi.getModel('api::blog-post.blog-post').attributes.system.enum;
+    if (system && !systems.includes(system)) {
+      return ctx.badRequest(`Invalid system. Must be one of: ${systems.join(', ')}`);
+    }
+
+    const calendar = await strapi
+      .service('api::editorial-calendar.editorial-calendar')
+      .build({ from, to, system, category });
+
+    ctx.body = {
+      data: calendar,
+      meta: { from, to, timezone: strapi.config.get('workflow.calendarTimezone') },
+    };
+  },
+});
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * editorial-calendar router
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/editorial-calendar',
+      handler: 'editorial-calendar.find',
+      config: {
+        policies: [],
+        middlewares: [],
+        description: 'Blog posts grouped by day: scheduled and actual publishing, plus the review queue',
+      },
+    },
+  ],
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * editorial-calendar service
+ *
+ * Builds the editorial calendar from the blog posts:
+ * - days: scheduled publish/unpublish dates and actual publish dates,
+ *   grouped by calendar day (in the configured timezone)
+ * - pendingReview: the review queue, oldest submission first, with its age
+ */
+
+const UID = 'api::blog-post.blog-post';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const POST_FIELDS = [
+  'id', 'documentId', 'title', 'slug', 'system', 'reviewStatus',
+  'publishAt', 'unpublishAt', 'publishedAt', 'updatedAt',
+];
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * @param {object} options
+   * @param {string} options.from - First day (YYYY-MM-DD, inclusive)
+   * @param {string} options.to - Last day (YYYY-MM-DD, inclusive)
+   * @param {string} [options.system] - Only posts of this system
+   * @param {string} [options.category] - Only posts of this category (slug)
+   */
+  async build({ from, to, system, category }) {
+    const dayKey = this.dayKeyFormatter();
+
+    // Query one extra day on each side, then keep the timezone-local days in range
+    const start = new Date(Date.parse(from) - DAY_MS);
+    const end = new Date(Date.parse(to) + 2 * DAY_MS);
+    const inRange = (date) => {
+      const key = dayKey(date);
+      return key >= from && key <= to;
+    };
+
+    const filters = {};
+    if (system) filters.system = system;
+    if (category) filters.category = { slug: category };
+
+    const populate = { category: { select: ['name', 'slug'] } };
+    const query = (where) => strapi.db.query(UID).findMany({
+      select: POST_FIELDS,
+      where: { ...filters, ...where },
+      populate,
+    });
+
+    const [scheduledPublish, scheduledUnpublish, published, pending] = await Promise.all([
+      query({ publishedAt: null, publishAt: { $gte: start, $lt: end } }),
+      strapi.service('api::blog-post.scheduler').findScheduledUnpublish(
+        { $gte: start, $lt: end },
+        { select: POST_FIELDS, where: filters, populate }
+      ),
+      query({ publishedAt: { $gte: start, $lt: end } }),
+      query({ publishedAt: null, reviewStatus: 'pending_review' }),
+    ]);
+
+    const items = [
+      ...scheduledPublish.map((post) => this.toItem(post, 'scheduled_publish', post.publishAt)),
+      ...scheduledUnpublish.map((post) => this.toItem(post, 'scheduled_unpublish', post.unpublishAt)),
+      ...published.map((post) => this.toItem(post, 'published', post.publishedAt)),
+    ].filter((item) => inRange(item.date));
+
+    const days = new Map();
+    for (const item of items.sort((a, b) => new Date(a.date) - new Date(b.date))) {
+      const key = dayKey(item.date);
+      if (!days.has(key)) days.set(key, []);
+      days.get(key).push(item);
+    }
+
+    return {
+      days: [...days.entries()].map(([date, dayItems]) => ({ date, items: dayItems })),
+      pendingReview: await this.withReviewAge(pending),
+    };
+  },
+
+  /**
+   * Calendar entry for a post.
+   */
+  toItem(post, type, date) {
+    return {
+      type,
+      date: new Date(date).toISOString(),
+      id: post.id,
+      documentId: post.documentId,
+      title: post.title,
+      slug: post.slug,
+      system: post.system,
+      category: post.category ? { name: post.category.name, slug: post.category.slug } : null,
+      reviewStatus: post.reviewStatus,
+    };
+  },
+
+  /**
+   * Pending posts with the date they were (last) submitted for review and
+   * how many days they have been waiting, oldest first.
+   */
+  async withReviewAge(posts) {
+    if (posts.length === 0) return [];
+
+    const events = await strapi.db.query('api::review-event.review-event').findMany({
+      select: ['occurredAt'],
+      where: {
+        toStatus: 'pending_review',
+        blogPost: { documentId: { $in: posts.map((post) => post.documentId) } },
+      },
+      populate: { blogPost: { select: ['documentId'] } },
+      orderBy: { occurredAt: 'asc' },
+    });
+
+    const submittedAt = new Map();
+    for (const event of events) {
+      if (event.blogPost) submittedAt.set(event.blogPost.documentId, event.occurredAt);
+    }
+
+    const now = Date.now();
+
+    return posts
+      .map((post) => {
+        const submitted = new Date(submittedAt.get(post.documentId) || post.updatedAt);
+        return {
+          ...this.toItem(post, 'pending_review', submitted),
+          submittedAt: submitted.toISOString(),
+          ageDays: Math.floor((now - submitted.getTime()) / DAY_MS),
+        };
+      })
+      .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+  },
+
+  /**
+   * Returns a function mapping a date to its YYYY-MM-DD day in the
+   * calendar timezone (config/workflow.js).
+   */
+  dayKeyFormatter() {
+    const format = new Intl.DateTimeFormat('en-CA', {
+      timeZone: strapi.config.get('workflow.calendarTimezone', 'UTC'),
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    });
+    return (date) => format.format(new Date(date));
+  },
+});
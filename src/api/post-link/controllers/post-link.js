@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * post-link controller
+ *
+ * The link index is written by the blog-post lifecycles only; the API
+ * exposes the link report built from it.
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::post-link.post-link', ({ strapi }) => ({
+
+  /**
+   * GET /api/link-report
+   */
+  async report(ctx) {
+    const report = await strapi.service('api::post-link.post-link').report();
+
+    ctx.body = {
+      data: report,
+      meta: {
+        posts: report.posts.length,
+        broken: report.broken.length,
+        redirected: report.redirected.length,
+        orphans: report.orphans.length,
+      },
+    };
+  },
+}));
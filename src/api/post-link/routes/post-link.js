@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * post-link router
+ *
+ * Links are indexed on every save of a blog post, so only the link report
+ * is exposed.
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/link-report',
+      handler: 'post-link.report',
+      config: {
+        policies: [],
+        middlewares: [],
+        description: 'Broken internal links, orphan posts and the inbound/outbound links of every published post',
+      },
+    },
+  ],
+};
@@ -0,0 +1,294 @@
+'use strict';
+
+/**
+ * post-link service
+ *
+ * Index of the internal links in the content of the blog posts, rebuilt for
+ * a post version on every save (blog-post lifecycles) from the `link` nodes
+ * of its content blocks:
+ * - post: /blog-cms/{system}/{slug}, another article of the blog
+ * - page: any other page of asigurari.ro (product pages, calculators)
+ * Links to other sites, mailto: and in-page anchors are not indexed.
+ *
+ * The link report only looks at the published versions, i.e. what visitors
+ * see: links to articles that are not live (anymore) are broken, unless a
+ * redirect (api::redirect) still leads visitors to the new URL. Product
+ * pages live in Symfony, so their links are listed but not checked.
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+const UID = 'api::post-link.post-link';
+const POST_UID = 'api::blog-post.blog-post';
+
+// Posts indexed per query when the index is built
+const BUILD_PAGE_SIZE = 100;
+
+// Core store entry recording that the index was built
+const BUILT_STORE = { type: 'api', name: 'post-link', key: 'index-built' };
+
+const POST_PATH = /^\/blog-cms\/([a-z0-9_-]+)\/([^/]+)\/?$/;
+
+/**
+ * Link nodes ({ url, text }) of content blocks, at any depth (lists, quotes).
+ */
+function findLinks(nodes, links = []) {
+  for (const node of nodes || []) {
+    if (node.type === 'link' && node.url) {
+      links.push({ url: node.url, text: getText(node) });
+    } else if (Array.isArray(node.children)) {
+      findLinks(node.children, links);
+    }
+  }
+
+  return links;
+}
+
+function getText(node) {
+  if (typeof node.text === 'string') return node.text;
+  return (node.children || []).map(getText).join('');
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+function toPath({ system, slug }) {
+  return `/blog-cms/${system}/${slug}`;
+}
+
+function summarize(post) {
+  return { documentId: post.documentId, title: post.title, path: toPath(post) };
+}
+
+function toReference({ documentId, title, path }) {
+  return { documentId, title, path };
+}
+
+module.exports = createCoreService(UID, ({ strapi }) => ({
+
+  /**
+   * Internal link target of a URL from the content, or null (other site,
+   * mailto:, in-page anchor).
+   *
+   * @returns {object|null} { kind: post|page, path, system?, slug? }
+   */
+  classify(url) {
+    const siteHost = getHost(strapi.config.get('workflow.structuredData.siteUrl'));
+    let parsed;
+
+    try {
+      parsed = new URL(url, 'http://relative.invalid');
+    } catch (error) {
+      return null;
+    }
+
+    const relative = parsed.hostname === 'relative.invalid';
+    if (relative ? !url.startsWith('/') : parsed.hostname.replace(/^www\./, '') !== siteHost) {
+      return null;
+    }
+
+    let path;
+    try {
+      path = decodeURIComponent(parsed.pathname);
+    } catch (error) {
+      // Malformed escape (e.g. a stray %): keep the path as written
+      path = parsed.pathname;
+    }
+
+    const match = path.match(POST_PATH);
+
+    return match
+      ? { kind: 'post', path: toPath({ system: match[1], slug: match[2] }), system: match[1], slug: match[2] }
+      : { kind: 'page', path };
+  },
+
+  /**
+   * Replace the indexed links of a blog post version with the ones of its content.
+   *
+   * @param {object} post - Blog post row (id, documentId, publishedAt, content)
+   */
+  async index(post) {
+    await this.remove(post);
+
+    const links = findLinks(post.content)
+      .map((link) => ({ ...link, target: this.classify(link.url) }))
+      .filter((link) => link.target);
+
+    if (links.length === 0) return;
+
+    await strapi.db.query(UID).createMany({
+      data: links.map(({ url, text, target }) => ({
+        postId: post.id,
+        postDocumentId: post.documentId,
+        published: Boolean(post.publishedAt),
+        url,
+        path: target.path,
+        text: text.slice(0, 255),
+        kind: target.kind,
+        targetSystem: target.system || null,
+        targetSlug: target.slug || null,
+      })),
+    });
+  },
+
+  /**
+   * Drop the indexed links of a deleted blog post version.
+   */
+  async remove(post) {
+    await strapi.db.query(UID).deleteMany({ where: { postId: post.id } });
+  },
+
+  /**
+   * Index every blog post version, once (first start with the link index:
+   * links of the posts saved before it). The posts are read a page at a
+   * time; the build is recorded in the core store when it completes, so an
+   * interrupted build starts over on the next start.
+   */
+  async buildOnce() {
+    const store = strapi.store(BUILT_STORE);
+    if (await store.get()) return;
+
+    let count = 0;
+
+    for (;;) {
+      const posts = await strapi.db.query(POST_UID).findMany({
+        select: ['id', 'documentId', 'publishedAt', 'content'],
+        orderBy: { id: 'asc' },
+        offset: count,
+        limit: BUILD_PAGE_SIZE,
+      });
+
+      for (const post of posts) {
+        await this.index(post);
+      }
+
+      count += posts.length;
+      if (posts.length < BUILD_PAGE_SIZE) break;
+    }
+
+    await store.set({ value: { builtAt: new Date().toISOString() } });
+    strapi.log.info(`Link index built from ${count} blog post versions`);
+  },
+
+  /**
+   * Published posts linking to the published version of a post, through its
+   * current URL or an old one redirected to it.
+   *
+   * @param {string} documentId - The linked post
+   * @returns {Promise<object[]>} [{ documentId, title, path }]
+   */
+  async findInbound(documentId) {
+    const post = await strapi.db.query(POST_UID).findOne({
+      select: ['system', 'slug'],
+      where: { documentId, publishedAt: { $notNull: true } },
+    });
+
+    if (!post) return [];
+
+    const redirects = await strapi.db.query('api::redirect.redirect').findMany({
+      select: ['fromSystem', 'fromSlug'],
+      where: { toSystem: post.system, toSlug: post.slug },
+    });
+    const paths = [post, ...redirects.map((redirect) => ({ system: redirect.fromSystem, slug: redirect.fromSlug }))];
+
+    const links = await strapi.db.query(UID).findMany({
+      select: ['postDocumentId'],
+      where: {
+        published: true,
+        kind: 'post',
+        postDocumentId: { $ne: documentId },
+        $or: paths.map(({ system, slug }) => ({ targetSystem: system, targetSlug: slug })),
+      },
+    });
+
+    const sources = [...new Set(links.map((link) => link.postDocumentId))];
+    if (sources.length === 0) return [];
+
+    const posts = await strapi.db.query(POST_UID).findMany({
+      select: ['documentId', 'title', 'system', 'slug'],
+      where: { documentId: { $in: sources }, publishedAt: { $notNull: true } },
+      orderBy: { title: 'asc' },
+    });
+
+    return posts.map(summarize);
+  },
+
+  /**
+   * Link report of the published posts.
+   *
+   * @returns {Promise<object>} {
+   *   broken: links to articles that are not live, not redirected either
+   *   redirected: links to an old URL of an article (work, but should be updated)
+   *   orphans: posts no other post links to
+   *   posts: every post with its outbound and inbound links
+   * }
+   */
+  async report() {
+    const posts = await strapi.db.query(POST_UID).findMany({
+      select: ['documentId', 'title', 'system', 'slug'],
+      where: { publishedAt: { $notNull: true } },
+      orderBy: { title: 'asc' },
+    });
+    const links = await strapi.db.query(UID).findMany({
+      where: { published: true },
+      orderBy: { id: 'asc' },
+    });
+    const redirects = await strapi.service('api::redirect.redirect').findMap();
+
+    const byPath = new Map(posts.map((post) => [toPath(post), post]));
+    const redirectsByPath = new Map(redirects.map((redirect) => [redirect.from, redirect.to]));
+    const entries = new Map(posts.map((post) => [post.documentId, { ...summarize(post), outbound: [], inbound: [] }]));
+
+    const broken = [];
+    const redirected = [];
+
+    for (const link of links) {
+      const source = entries.get(link.postDocumentId);
+      if (!source) continue;
+
+      const outbound = { url: link.url, text: link.text, path: link.path, kind: link.kind };
+
+      if (link.kind === 'post') {
+        const live = byPath.get(link.path);
+        const redirectsTo = live ? null : redirectsByPath.get(link.path);
+        // A redirected link still brings visitors to the post it redirects to
+        const target = live || (redirectsTo && byPath.get(redirectsTo));
+
+        outbound.status = live ? 'ok' : (target ? 'redirected' : 'broken');
+
+        if (target && target.documentId !== source.documentId) {
+          outbound.documentId = target.documentId;
+          const inbound = entries.get(target.documentId).inbound;
+          if (!inbound.some((post) => post.documentId === source.documentId)) {
+            inbound.push(toReference(source));
+          }
+        }
+        if (outbound.status === 'redirected') {
+          outbound.redirectsTo = redirectsTo;
+          redirected.push({ source: toReference(source), url: link.url, path: link.path, redirectsTo });
+        }
+        if (outbound.status === 'broken') {
+          broken.push({ source: toReference(source), url: link.url, text: link.text, path: link.path });
+        }
+      } else {
+        outbound.status = 'unchecked';
+      }
+
+      source.outbound.push(outbound);
+    }
+
+    const list = [...entries.values()];
+
+    return {
+      broken,
+      redirected,
+      orphans: list.filter((post) => post.inbound.length === 0).map(toReference),
+      posts: list,
+    };
+  },
+}));
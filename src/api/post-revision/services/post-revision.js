@@ -0,0 +1,334 @@
+'use strict';
+
+/**
+ * post-revision service
+ *
+ * Every save of a blog post draft is stored as a numbered revision (the
+ * blog-post lifecycles call record()): title, excerpt, content blocks, SEO
+ * fields and relations. Saves that change none of these (e.g. a review
+ * status transition) are not recorded. Revisions can be compared block by
+ * block and restored, so content lost in a bad edit or a bulk script can be
+ * recovered.
+ *
+ * Revisions reference the post by documentId rather than by a relation, so
+ * they outlive the draft row (discarded drafts, deleted posts).
+ */
+
+const crypto = require('crypto');
+const { errors } = require('@strapi/utils');
+const { createCoreService } = require('@strapi/strapi').factories;
+
+const UID = 'api::post-revision.post-revision';
+const POST_UID = 'api::blog-post.blog-post';
+
+// Blog post fields stored in a revision (relations are stored in `relations`)
+const SNAPSHOT_FIELDS = [
+  'title', 'slug', 'excerpt', 'content', 'system',
+  'metaTitle', 'metaDescription', 'focusKeyword', 'featuredImageUrl', 'featuredImageAlt',
+  'tocItems', 'autoToc', 'authorName', 'faq',
+];
+
+const LIST_FIELDS = ['id', 'number', 'title', 'slug', 'restoredFrom', 'actorType', 'actorName', 'savedAt'];
+
+const RELATIONS_POPULATE = {
+  category: { select: ['documentId'] },
+  tags: { select: ['documentId'] },
+  author: { select: ['documentId'] },
+  featuredImage: { select: ['id'] },
+};
+
+/**
+ * FAQ items of a post as stored in a revision: questions and answers,
+ * without the ids of the component rows (replaced on every save).
+ */
+function getFaq(post) {
+  return (post.faq || []).map(({ question, answer }) => ({ question, answer }));
+}
+
+/**
+ * Relations of a post as stored in a revision: documentIds (media: file id).
+ */
+function getRelations(post) {
+  return {
+    category: post.category ? post.category.documentId : null,
+    tags: (post.tags || []).map((tag) => tag.documentId).sort(),
+    author: post.author ? post.author.documentId : null,
+    featuredImage: post.featuredImage ? post.featuredImage.id : null,
+  };
+}
+
+function getChecksum(snapshot, relations) {
+  return crypto.createHash('sha256').update(JSON.stringify([snapshot, relations])).digest('hex');
+}
+
+/**
+ * Block-by-block diff of two content block lists, from their longest common
+ * subsequence. A run of removed blocks followed by added ones is reported as
+ * changed blocks, pairwise.
+ *
+ * @returns {object[]} { op: equal|changed|added|removed, from, to, before, after }
+ */
+function diffBlocks(before, after) {
+  const a = (before || []).map((block) => JSON.stringify(block));
+  const b = (after || []).map((block) => JSON.stringify(block));
+
+  // lcs[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ op: 'equal', from: i, to: j });
+      i += 1;
+      j += 1;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ op: 'removed', from: i, before: before[i] });
+      i += 1;
+    } else {
+      ops.push({ op: 'added', to: j, after: after[j] });
+      j += 1;
+    }
+  }
+
+  const result = [];
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].op !== 'removed') {
+      result.push(ops[k]);
+      k += 1;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].op === 'removed') removed.push(ops[k++]);
+    while (k < ops.length && ops[k].op === 'added') added.push(ops[k++]);
+
+    const paired = Math.min(removed.length, added.length);
+    for (let n = 0; n < paired; n += 1) {
+      result.push({
+        op: 'changed', from: removed[n].from, to: added[n].to, before: removed[n].before, after: added[n].after,
+      });
+    }
+    result.push(...removed.slice(paired), ...added.slice(paired));
+  }
+
+  return result;
+}
+
+module.exports = createCoreService(UID, ({ strapi }) => ({
+
+  /**
+   * Store the current state of a blog post draft as its next revision,
+   * unless it matches the latest revision. The number is taken inside a
+   * transaction holding a lock on the draft row, so concurrent saves of a
+   * post cannot get the same number.
+   *
+   * @param {number} postId - id of the draft row
+   * @param {object} actor - { type, id, name } of whoever saved it
+   * @returns {Promise<object|null>} the revision, or null when nothing changed
+   */
+  async record(postId, actor) {
+    return strapi.db.transaction(async () => {
+      await strapi.db.queryBuilder(POST_UID).select(['id']).where({ id: postId }).forUpdate().execute();
+
+      const post = await strapi.db.query(POST_UID).findOne({
+        where: { id: postId },
+        populate: { ...RELATIONS_POPULATE, faq: true },
+      });
+
+      if (!post) return null;
+
+      const snapshot = Object.fromEntries(SNAPSHOT_FIELDS.map((field) => [field, post[field] ?? null]));
+      snapshot.faq = getFaq(post);
+      const relations = getRelations(post);
+      const checksum = getChecksum(snapshot, relations);
+      const latest = await this.findLatest(post.documentId);
+
+      if (latest && latest.checksum === checksum) return null;
+
+      return strapi.db.query(UID).create({
+        data: {
+          postDocumentId: post.documentId,
+          number: latest ? latest.number + 1 : 1,
+          ...snapshot,
+          relations,
+          checksum,
+          actorType: actor.type,
+          actorId: actor.id,
+          actorName: actor.name,
+          // The draft's updatedAt: what clients send back as their version token
+          savedAt: post.updatedAt || new Date(),
+        },
+      });
+    });
+  },
+
+  async findLatest(documentId) {
+    return strapi.db.query(UID).findOne({
+      select: ['id', 'number', 'checksum'],
+      where: { postDocumentId: documentId },
+      orderBy: { number: 'desc' },
+    });
+  },
+
+  /**
+   * Revisions of a blog post, latest first, without their content.
+   */
+  async findRevisions(documentId) {
+    return strapi.db.query(UID).findMany({
+      select: LIST_FIELDS,
+      where: { postDocumentId: documentId },
+      orderBy: { number: 'desc' },
+    });
+  },
+
+  /**
+   * One revision of a blog post, with its content.
+   *
+   * @throws {NotFoundError} when the post has no such revision
+   */
+  async findRevision(documentId, number) {
+    const revision = await strapi.db.query(UID).findOne({
+      where: { postDocumentId: documentId, number },
+    });
+
+    if (!revision) {
+      throw new errors.NotFoundError(`Revision ${number} not found`);
+    }
+
+    return revision;
+  },
+
+  /**
+   * Compare two revisions of a blog post: the fields and relations that
+   * changed, and the content blocks.
+   *
+   * @param {string} documentId - Blog post documentId
+   * @param {number} from - Older revision number
+   * @param {number} to - Newer revision number
+   */
+  async diff(documentId, from, to) {
+    const [before, after] = await Promise.all([
+      this.findRevision(documentId, from),
+      this.findRevision(documentId, to),
+    ]);
+
+    const fields = SNAPSHOT_FIELDS
+      .filter((field) => field !== 'content')
+      .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map((field) => ({ field, from: before[field], to: after[field] }));
+
+    const beforeRelations = before.relations || {};
+    const afterRelations = after.relations || {};
+    const relations = ['category', 'tags', 'author', 'featuredImage']
+      .filter((field) => JSON.stringify(beforeRelations[field]) !== JSON.stringify(afterRelations[field]))
+      .map((field) => ({ field, from: beforeRelations[field] ?? null, to: afterRelations[field] ?? null }));
+
+    const blocks = diffBlocks(before.content, after.content);
+    const summary = { equal: 0, changed: 0, added: 0, removed: 0 };
+    for (const block of blocks) summary[block.op] += 1;
+
+    return { from, to, fields, relations, content: { summary, blocks } };
+  },
+
+  /**
+   * Fields changed by the saves made after a date (the revision current at
+   * that date against the latest one), and who made the latest save.
+   * Without a revision at that date the changes are unknown: fields is null.
+   *
+   * @returns {Promise<{ fields: string[]|null, updatedBy: string|null }>}
+   */
+  async changesSince(documentId, date) {
+    const [base, latest] = await Promise.all([
+      strapi.db.query(UID).findOne({
+        select: ['number'],
+        where: { postDocumentId: documentId, savedAt: { $lte: date } },
+        orderBy: { number: 'desc' },
+      }),
+      strapi.db.query(UID).findOne({
+        select: ['number', 'actorName', 'savedAt'],
+        where: { postDocumentId: documentId },
+        orderBy: { number: 'desc' },
+      }),
+    ]);
+
+    if (base && latest && base.number === latest.number) {
+      return { fields: [], updatedBy: null };
+    }
+
+    if (!base) {
+      return { fields: null, updatedBy: latest ? latest.actorName : null };
+    }
+
+    const diff = await this.diff(documentId, base.number, latest.number);
+    const { changed, added, removed } = diff.content.summary;
+    const fields = [...diff.fields, ...diff.relations].map(({ field }) => field);
+
+    if (changed + added + removed > 0) fields.push('content');
+
+    return { fields, updatedBy: latest.actorName };
+  },
+
+  /**
+   * Put a revision back into the blog post draft. Relations to entries
+   * deleted since then are left out. The restore is itself a save, so it is
+   * recorded as a new revision (with `restoredFrom`); an approved post goes
+   * back to review like after any edit.
+   *
+   * @returns {Promise<object>} the updated draft
+   */
+  async restore(documentId, number) {
+    const revision = await this.findRevision(documentId, number);
+    const relations = revision.relations || {};
+    const latest = await this.findLatest(documentId);
+
+    const [category, author, tags, featuredImage] = await Promise.all([
+      relations.category
+        ? strapi.db.query('api::category.category').findOne({ where: { documentId: relations.category } })
+        : null,
+      relations.author
+        ? strapi.db.query('api::author.author').findOne({ where: { documentId: relations.author } })
+        : null,
+      strapi.db.query('api::tag.tag').findMany({
+        select: ['documentId'],
+        where: { documentId: { $in: relations.tags || [] } },
+      }),
+      relations.featuredImage
+        ? strapi.db.query('plugin::upload.file').findOne({ where: { id: relations.featuredImage } })
+        : null,
+    ]);
+
+    const updated = await strapi.documents(POST_UID).update({
+      documentId,
+      data: {
+        ...Object.fromEntries(SNAPSHOT_FIELDS.map((field) => [field, revision[field]])),
+        faq: revision.faq || [],
+        // Not stored in the revisions recorded before it was: left as it is
+        autoToc: revision.autoToc ?? undefined,
+        category: category ? category.documentId : null,
+        author: author ? author.documentId : null,
+        tags: { set: tags.map((tag) => tag.documentId) },
+        featuredImage: featuredImage ? featuredImage.id : null,
+      },
+    });
+
+    const restored = await this.findLatest(documentId);
+
+    if (restored && (!latest || restored.number > latest.number)) {
+      await strapi.db.query(UID).update({
+        where: { id: restored.id },
+        data: { restoredFrom: number },
+      });
+    }
+
+    return updated;
+  },
+}));
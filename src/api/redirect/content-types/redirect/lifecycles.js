@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Redirect lifecycle hooks.
+ *
+ * Keep the redirect map free of chains and loops, whether a redirect is
+ * recorded on publish or edited in the Content Manager:
+ * - a redirect points to the final URL (its target's own redirects followed)
+ * - a redirect leading back to its source is refused
+ * - a URL is redirected once
+ * - redirects ending at the new source are pointed to the new target
+ */
+
+const { errors } = require('@strapi/utils');
+
+const UID = 'api::redirect.redirect';
+
+async function normalize(data, current = {}) {
+  const service = strapi.service(UID);
+  const from = {
+    system: data.fromSystem !== undefined ? data.fromSystem : current.fromSystem,
+    slug: data.fromSlug !== undefined ? data.fromSlug : current.fromSlug,
+  };
+  const to = {
+    system: data.toSystem !== undefined ? data.toSystem : current.toSystem,
+    slug: data.toSlug !== undefined ? data.toSlug : current.toSlug,
+  };
+
+  const existing = await service.findFrom(from);
+  if (existing && existing.id !== current.id) {
+    throw new errors.ValidationError(`${service.toPath(from)} is already redirected to ${service.toPath({
+      system: existing.toSystem, slug: existing.toSlug,
+    })}`);
+  }
+
+  const target = await service.resolve(from, to);
+  data.toSystem = target.system;
+  data.toSlug = target.slug;
+}
+
+async function collapseInto(result) {
+  await strapi.service(UID).collapse(
+    { system: result.fromSystem, slug: result.fromSlug },
+    { system: result.toSystem, slug: result.toSlug }
+  );
+}
+
+module.exports = {
+  async beforeCreate(event) {
+    await normalize(event.params.data);
+  },
+
+  async beforeUpdate(event) {
+    const { data, where } = event.params;
+    const current = await strapi.db.query(UID).findOne({ where });
+
+    if (current) {
+      await normalize(data, current);
+    }
+  },
+
+  async afterCreate(event) {
+    await collapseInto(event.result);
+  },
+
+  async afterUpdate(event) {
+    await collapseInto(event.result);
+  },
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * redirect controller
+ *
+ * find returns the whole redirect map, unpaginated, for Symfony to answer
+ * 301 on old blog post URLs.
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::redirect.redirect', ({ strapi }) => ({
+
+  /**
+   * GET /api/redirects
+   */
+  async find(ctx) {
+    const redirects = await strapi.service('api::redirect.redirect').findMap();
+
+    ctx.body = { data: redirects, meta: { total: redirects.length } };
+  },
+}));
@@ -0,0 +1,15 @@
+'use strict';
+
+/**
+ * redirect router
+ *
+ * Redirects are recorded when a post is published under a new system or
+ * slug (and can be edited in the Content Manager), so only the redirect map
+ * is exposed: GET /api/redirects.
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::redirect.redirect', {
+  only: ['find'],
+});
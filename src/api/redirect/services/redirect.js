@@ -0,0 +1,164 @@
+'use strict';
+
+/**
+ * redirect service
+ *
+ * Redirect map of the blog on asigurari.ro. When a new version of a post
+ * is published with another system or slug than the version it replaces,
+ * the old /blog-cms/{system}/{slug} is redirected to the new one; Symfony
+ * reads the map (GET /api/redirects) and answers 301.
+ *
+ * The map never holds chains or loops: a redirect points straight to the
+ * final URL (a→b then b→c gives a→c, b→c), a URL that is live again is no
+ * longer redirected, and a redirect leading back to its own source is
+ * refused (the redirect lifecycles apply this to Content Manager edits too).
+ *
+ * The published version of a post is replaced by deleting the old one and
+ * creating the new one; the path of the deleted version is kept on the
+ * draft (`lastPublishedPath`) until a new one is created, so it survives
+ * restarts and unpublished periods (see the blog-post lifecycles).
+ */
+
+const { errors } = require('@strapi/utils');
+const { createCoreService } = require('@strapi/strapi').factories;
+
+const UID = 'api::redirect.redirect';
+const POST_UID = 'api::blog-post.blog-post';
+
+// Longest chain followed while resolving a target (the map has none once collapsed)
+const MAX_HOPS = 20;
+
+function isSamePath(a, b) {
+  return a.system === b.system && a.slug === b.slug;
+}
+
+function toPath({ system, slug }) {
+  return `/blog-cms/${system}/${slug}`;
+}
+
+module.exports = createCoreService(UID, ({ strapi }) => ({
+
+  toPath,
+
+  /**
+   * The whole redirect map, as Symfony uses it.
+   */
+  async findMap() {
+    const redirects = await strapi.db.query(UID).findMany({ orderBy: { id: 'asc' } });
+
+    return redirects.map((redirect) => ({
+      from: toPath({ system: redirect.fromSystem, slug: redirect.fromSlug }),
+      to: toPath({ system: redirect.toSystem, slug: redirect.toSlug }),
+      fromSystem: redirect.fromSystem,
+      fromSlug: redirect.fromSlug,
+      toSystem: redirect.toSystem,
+      toSlug: redirect.toSlug,
+      postDocumentId: redirect.postDocumentId,
+      createdAt: redirect.createdAt,
+    }));
+  },
+
+  async findFrom({ system, slug }) {
+    return strapi.db.query(UID).findOne({ where: { fromSystem: system, fromSlug: slug } });
+  },
+
+  /**
+   * Final URL of a redirect target, following the redirects from it.
+   *
+   * @param {object} from - { system, slug } the redirect starts from
+   * @param {object} to - { system, slug } it points to
+   * @throws {ValidationError} when the target leads back to the source
+   */
+  async resolve(from, to) {
+    let target = to;
+
+    for (let hops = 0; hops < MAX_HOPS; hops += 1) {
+      if (isSamePath(target, from)) {
+        throw new errors.ValidationError(`Redirect loop: ${toPath(to)} leads back to ${toPath(from)}`);
+      }
+
+      const next = await this.findFrom(target);
+      if (!next) return target;
+
+      target = { system: next.toSystem, slug: next.toSlug };
+    }
+
+    throw new errors.ValidationError(`Redirect chain from ${toPath(to)} is too long`);
+  },
+
+  /**
+   * Point the redirects ending at `from` to `to`, so no chain goes through it.
+   */
+  async collapse(from, to) {
+    await strapi.db.query(UID).updateMany({
+      where: { toSystem: from.system, toSlug: from.slug },
+      data: { toSystem: to.system, toSlug: to.slug },
+    });
+  },
+
+  /**
+   * Stop redirecting a URL that is live (again).
+   */
+  async clearFrom(path) {
+    await strapi.db.query(UID).deleteMany({ where: { fromSystem: path.system, fromSlug: path.slug } });
+  },
+
+  /**
+   * Keep the path of a published version being deleted on the draft, for
+   * publishedVersionCreated(). Goes through the query engine so the draft
+   * is not flagged as modified.
+   */
+  async publishedVersionDeleted(post) {
+    await strapi.db.query(POST_UID).updateMany({
+      where: { documentId: post.documentId, publishedAt: null },
+      data: { lastPublishedPath: { system: post.system, slug: post.slug } },
+    });
+  },
+
+  /**
+   * A published version was created: its URL is live, and when the version
+   * it replaces had another system or slug, the old URL redirects to it.
+   *
+   * @returns {Promise<object|null>} the redirect recorded, if any
+   */
+  async publishedVersionCreated(post) {
+    const path = { system: post.system, slug: post.slug };
+    const draft = await strapi.db.query(POST_UID).findOne({
+      select: ['lastPublishedPath'],
+      where: { documentId: post.documentId, publishedAt: null },
+    });
+    const previous = draft && draft.lastPublishedPath;
+
+    if (previous) {
+      await strapi.db.query(POST_UID).updateMany({
+        where: { documentId: post.documentId, publishedAt: null },
+        data: { lastPublishedPath: null },
+      });
+    }
+
+    await this.clearFrom(path);
+
+    if (!previous || isSamePath(previous, path)) return null;
+
+    const redirect = await strapi.db.query(UID).create({
+      data: {
+        fromSystem: previous.system,
+        fromSlug: previous.slug,
+        toSystem: path.system,
+        toSlug: path.slug,
+        postDocumentId: post.documentId,
+      },
+    });
+
+    strapi.log.info(`Redirect recorded: ${toPath(previous)} → ${toPath(path)}`);
+
+    // Symfony reloads its redirect map
+    await strapi.service('api::blog-post.symfony-cache').send({
+      event: 'entry.create',
+      model: 'redirect',
+      entry: { slug: previous.slug, system: previous.system },
+    });
+
+    return redirect;
+  },
+}));
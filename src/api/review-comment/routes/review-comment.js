@@ -0,0 +1,14 @@
+'use strict';
+
+/**
+ * review-comment router
+ *
+ * Comments are added through POST /api/blog-posts/:id/comments,
+ * so only the read routes are exposed here.
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::review-comment.review-comment', {
+  only: ['find', 'findOne'],
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * review-comment service
+ *
+ * A blog post keeps a thread of open comments while it is being reviewed.
+ * The thread is resolved when the author resubmits the post.
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+module.exports = createCoreService('api::review-comment.review-comment', ({ strapi }) => ({
+
+  /**
+   * Add a comment to the thread of a blog post.
+   *
+   * @param {object} post - The blog post entity
+   * @param {string} body - Comment text
+   * @param {object} actor - { type, id, name } of the comment author
+   * @param {string} [reason] - Rejection reason key, for the comment opening a rejection
+   */
+  async add(post, body, actor, reason = null) {
+    return strapi.entityService.create('api::review-comment.review-comment', {
+      data: {
+        blogPost: post.documentId,
+        body,
+        reason,
+        authorType: actor.type,
+        authorId: actor.id,
+        authorName: actor.name,
+      },
+    });
+  },
+
+  /**
+   * Get the comments of one or more blog posts, oldest first.
+   * Only unresolved comments are returned unless `includeResolved` is set.
+   */
+  async findThread(documentIds, { includeResolved = false } = {}) {
+    const filters = { blogPost: { documentId: { $in: [].concat(documentIds) } } };
+
+    if (!includeResolved) {
+      filters.resolvedAt = { $null: true };
+    }
+
+    return strapi.entityService.findMany('api::review-comment.review-comment', {
+      filters,
+      sort: { createdAt: 'asc' },
+      populate: { blogPost: { fields: ['documentId'] } },
+    });
+  },
+
+  /**
+   * Close the open thread of a blog post (called on resubmission).
+   */
+  async resolveThread(documentId) {
+    const open = await this.findThread(documentId);
+
+    if (open.length === 0) return;
+
+    await strapi.db.query('api::review-comment.review-comment').updateMany({
+      where: { id: { $in: open.map((comment) => comment.id) } },
+      data: { resolvedAt: new Date() },
+    });
+  },
+}));
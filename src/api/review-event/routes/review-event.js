@@ -0,0 +1,14 @@
+'use strict';
+
+/**
+ * review-event router
+ *
+ * The review log is append-only: events are written by the blog-post
+ * workflow actions, so only the read routes are exposed.
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::review-event.review-event', {
+  only: ['find', 'findOne'],
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * review-event service
+ *
+ * Records blog post review transitions and reads them back as a timeline.
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+module.exports = createCoreService('api::review-event.review-event', ({ strapi }) => ({
+
+  /**
+   * Log a review status transition for a blog post.
+   *
+   * @param {object} post - The blog post entity (before the transition)
+   * @param {string} toStatus - The new reviewStatus
+   * @param {object} actor - { type, id, name } of whoever triggered it
+   * @param {object} [details] - Optional { comment, reason } (reason: rejection reason key)
+   */
+  async record(post, toStatus, actor, { comment = null, reason = null } = {}) {
+    return strapi.entityService.create('api::review-event.review-event', {
+      data: {
+        blogPost: post.documentId,
+        fromStatus: post.reviewStatus,
+        toStatus,
+        actorType: actor.type,
+        actorId: actor.id,
+        actorName: actor.name,
+        reason,
+        comment: comment || null,
+        occurredAt: new Date(),
+      },
+    });
+  },
+
+  /**
+   * Get the review timeline of a blog post, oldest event first.
+   */
+  async findTimeline(documentId) {
+    return strapi.entityService.findMany('api::review-event.review-event', {
+      filters: { blogPost: { documentId } },
+      sort: { occurredAt: 'asc' },
+    });
+  },
+}));
@@ -7,7 +7,16 @@ module.exports = {
    *
    * This gives you an opportunity to extend code.
    */
-  register(/* { strapi } */) {},
+  register({ strapi }) {
+    // Refuse blog post updates based on an outdated version of the draft, whether
+    // they come from the REST API or the Content Manager
+    strapi.documents.use(async (context, next) => {
+      if (context.uid === 'api::blog-post.blog-post' && context.action === 'update') {
+        await strapi.service('api::blog-post.editing').checkVersion(context.params.documentId, context.params.data);
+      }
+      return next();
+    });
+  },
 
   /**
    * An asynchronous bootstrap function that runs before
@@ -20,9 +29,21 @@ module.exports = {
     // Seed default categories on first run
     await seedCategories(strapi);
 
+    // Seed the team author profile used by migrated posts
+    await seedTeamAuthor(strapi);
+
     // Set public API permissions on first run
     await setPublicPermissions(strapi);
 
+    // Create the Author/Editor API roles used by the editorial workflow
+    await setupWorkflowRoles(strapi);
+
+    // Index the links of the posts saved before the link index existed
+    await strapi.service('api::post-link.post-link').buildOnce();
+
+    // Run scheduled publish/unpublish jobs missed while the server was down
+    await strapi.service('api::blog-post.scheduler').runDueJobs();
+
     strapi.log.info('WIB CMS bootstrap complete');
   },
 };
@@ -68,6 +89,27 @@ async function seedCategories(strapi) {
   strapi.log.info('Category seeding complete');
 }
 
+/**
+ * Seed the "Echipa asigurari.ro" author profile, which signs the migrated
+ * posts (scripts/migrate.js looks it up by slug).
+ */
+async function seedTeamAuthor(strapi) {
+  const existing = await strapi.db.query('api::author.author').findOne({
+    where: { slug: 'echipa-asigurari-ro' },
+  });
+
+  if (existing) return;
+
+  await strapi.documents('api::author.author').create({
+    data: {
+      name: 'Echipa asigurari.ro',
+      slug: 'echipa-asigurari-ro',
+      bio: 'Echipa editoriala asigurari.ro, broker de asigurari autorizat ASF.',
+    },
+  });
+  strapi.log.info('  Created author: Echipa asigurari.ro');
+}
+
 /**
  * Set public (unauthenticated) API permissions for read-only access.
  * This allows the Symfony frontend to read blog posts without authentication
@@ -86,19 +128,97 @@ async function setPublicPermissions(strapi) {
 
   // Define which actions should be publicly accessible
   const publicActions = {
-    'api::blog-post.blog-post': ['find', 'findOne'],
+    'api::blog-post.blog-post': ['find', 'findOne', 'related'],
+    'api::category.category': ['find', 'findOne'],
+    'api::tag.tag': ['find', 'findOne'],
+    'api::author.author': ['find', 'findOne', 'findBySlug', 'posts'],
+    'api::redirect.redirect': ['find'],
+  };
+
+  await grantPermissions(strapi, publicRole, publicActions);
+}
+
+/**
+ * Create the users-permissions roles of the editorial workflow and grant
+ * their API permissions. The route policies in
+ * src/api/blog-post/routes/01-custom-blog-post.js rely on these role types.
+ *
+ * - author: write posts and submit their own posts for review
+ * - editor: everything an author can do, plus approve/reject, the status lists
+ *   and the link report
+ * - compliance: sign off or reject posts of regulated systems after editorial approval
+ */
+async function setupWorkflowRoles(strapi) {
+  const authorActions = {
+    'api::blog-post.blog-post': [
+      'find', 'findOne', 'create', 'update',
+      'submitForReview', 'reviewHistory', 'comments', 'addComment',
+      'revisions', 'revision', 'revisionDiff', 'restoreRevision',
+      'lock', 'acquireLock', 'releaseLock', 'clone', 'previewToken', 'related',
+    ],
     'api::category.category': ['find', 'findOne'],
     'api::tag.tag': ['find', 'findOne'],
+    'api::author.author': ['find', 'findOne'],
   };
 
-  for (const [controller, actions] of Object.entries(publicActions)) {
+  const editorActions = {
+    ...authorActions,
+    'api::blog-post.blog-post': [
+      ...authorActions['api::blog-post.blog-post'],
+      'delete', 'approve', 'reject', 'findByStatus', 'assignReviewer',
+      'stale', 'bulk', 'statusSummary',
+    ],
+    'api::review-event.review-event': ['find', 'findOne'],
+    'api::review-comment.review-comment': ['find', 'findOne'],
+    'api::editorial-calendar.editorial-calendar': ['find'],
+    'api::post-link.post-link': ['report'],
+  };
+
+  const complianceActions = {
+    'api::blog-post.blog-post': [
+      'find', 'findOne', 'complianceApprove', 'reject', 'findByStatus',
+      'stale', 'statusSummary', 'reviewHistory', 'comments', 'addComment',
+      'revisions', 'revision', 'revisionDiff', 'lock', 'previewToken',
+    ],
+    'api::category.category': ['find', 'findOne'],
+    'api::tag.tag': ['find', 'findOne'],
+    'api::review-event.review-event': ['find', 'findOne'],
+    'api::review-comment.review-comment': ['find', 'findOne'],
+  };
+
+  const roles = [
+    { type: 'author', name: 'Author', description: 'Writes blog posts and submits them for review', actions: authorActions },
+    { type: 'editor', name: 'Editor', description: 'Reviews, approves and rejects blog posts', actions: editorActions },
+    { type: 'compliance', name: 'Compliance', description: 'Signs off regulated insurance content after editorial approval', actions: complianceActions },
+  ];
+
+  for (const { actions, ...roleData } of roles) {
+    let role = await strapi
+      .query('plugin::users-permissions.role')
+      .findOne({ where: { type: roleData.type } });
+
+    if (!role) {
+      role = await strapi.query('plugin::users-permissions.role').create({ data: roleData });
+      strapi.log.info(`  Created API role: ${roleData.name}`);
+    }
+
+    await grantPermissions(strapi, role, actions);
+  }
+}
+
+/**
+ * Grant a users-permissions role the given controller actions,
+ * skipping the ones it already has.
+ */
+async function grantPermissions(strapi, role, actionsByController) {
+  for (const [controller, actions] of Object.entries(actionsByController)) {
     for (const action of actions) {
       // Check if permission already exists
       const existingPermission = await strapi
         .query('plugin::users-permissions.permission')
         .findOne({
           where: {
-            role: publicRole.id,
+            role: role.id,
             action: `${controller}.${action}`,
           },
         });
@@ -107,11 +227,11 @@ async function setPublicPermissions(strapi) {
         try {
           await strapi.query('plugin::users-permissions.permission').create({
             data: {
-              role: publicRole.id,
+              role: role.id,
               action: `${controller}.${action}`,
             },
           });
-          strapi.log.info(`  Granted public permission: ${controller}.${action}`);
+          strapi.log.info(`  Granted ${role.type} permission: ${controller}.${action}`);
         } catch (error) {
           // Permission might already exist in a different format
           strapi.log.debug(`  Permission setup note for ${controller}.${action}: ${error.message}`);
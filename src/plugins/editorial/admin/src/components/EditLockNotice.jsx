@@ -0,0 +1,60 @@
+import * as React from 'react';
+import { Box, Status, Typography } from '@strapi/design-system';
+import { unstable_useContentManagerContext as useContentManagerContext, useFetchClient } from '@strapi/strapi/admin';
+
+import { BLOG_POST_UID } from '../pluginId';
+
+// Renew the lock well before it runs out (editLockSeconds, 120 s by default)
+const HEARTBEAT_MS = 30 * 1000;
+
+const EditLockNoticeContent = ({ documentId }) => {
+  const { post, del } = useFetchClient();
+  const [lock, setLock] = React.useState(null);
+
+  React.useEffect(() => {
+    const url = `/editorial/posts/${documentId}/lock`;
+    const acquire = () => post(url).then(({ data }) => setLock(data.data)).catch(() => setLock(null));
+
+    acquire();
+    const timer = setInterval(acquire, HEARTBEAT_MS);
+
+    return () => {
+      clearInterval(timer);
+      del(url).catch(() => {});
+    };
+  }, [documentId, post, del]);
+
+  if (!lock || lock.mine) {
+    return null;
+  }
+
+  const since = new Date(lock.since).toLocaleTimeString('ro-RO', { hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <Box marginTop={2} width="100%">
+      <Status variant="warning" size="S">
+        <Typography>
+          <Typography fontWeight="bold">{lock.lockedBy.name}</Typography> is editing this post (since {since}).
+          Saving now may overwrite their changes.
+        </Typography>
+      </Status>
+    </Box>
+  );
+};
+
+/**
+ * Soft edit lock of the blog post edit view (`editView.right-links`):
+ * takes the lock while the post is open and warns when someone else is
+ * already editing it.
+ */
+const EditLockNotice = () => {
+  const { model, id } = useContentManagerContext();
+
+  if (model !== BLOG_POST_UID || !id || id === 'create') {
+    return null;
+  }
+
+  return <EditLockNoticeContent documentId={id} />;
+};
+
+export { EditLockNotice };
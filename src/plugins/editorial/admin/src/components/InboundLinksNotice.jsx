@@ -0,0 +1,63 @@
+import * as React from 'react';
+import { Link } from 'react-router-dom';
+import { Box, Flex, Status, Typography } from '@strapi/design-system';
+import { unstable_useContentManagerContext as useContentManagerContext, useFetchClient } from '@strapi/strapi/admin';
+
+import { BLOG_POST_UID, editUrl } from '../pluginId';
+
+// Linking posts listed in the notice; the others are counted
+const MAX_LISTED = 5;
+
+const InboundLinksNoticeContent = ({ documentId }) => {
+  const { get } = useFetchClient();
+  const [links, setLinks] = React.useState(null);
+
+  React.useEffect(() => {
+    get(`/editorial/posts/${documentId}/links`)
+      .then(({ data }) => setLinks(data.data))
+      .catch(() => setLinks(null));
+  }, [documentId, get]);
+
+  if (!links || !links.heavilyLinked) {
+    return null;
+  }
+
+  const listed = links.inbound.slice(0, MAX_LISTED);
+  const more = links.inbound.length - listed.length;
+
+  return (
+    <Box marginTop={2} width="100%">
+      <Status variant="warning" size="S">
+        <Flex direction="column" alignItems="stretch" gap={1}>
+          <Typography>
+            Linked from <Typography fontWeight="bold">{links.inbound.length} published posts</Typography>.
+            Unpublishing it or changing its slug breaks their links:
+          </Typography>
+          {listed.map((post) => (
+            <Link key={post.documentId} to={editUrl(post.documentId)}>
+              <Typography textColor="primary600">{post.title}</Typography>
+            </Link>
+          ))}
+          {more > 0 && <Typography textColor="neutral600">and {more} more (see GET /api/link-report)</Typography>}
+        </Flex>
+      </Status>
+    </Box>
+  );
+};
+
+/**
+ * Warning of the blog post edit view (`editView.right-links`) when the
+ * published post is linked from many other published posts
+ * (`links.warnInboundCount`), before an editor unpublishes it.
+ */
+const InboundLinksNotice = () => {
+  const { model, id } = useContentManagerContext();
+
+  if (model !== BLOG_POST_UID || !id || id === 'create') {
+    return null;
+  }
+
+  return <InboundLinksNoticeContent documentId={id} />;
+};
+
+export { InboundLinksNotice };
@@ -0,0 +1,59 @@
+import * as React from 'react';
+import { Box, Button } from '@strapi/design-system';
+import { ExternalLink } from '@strapi/icons';
+import {
+  unstable_useContentManagerContext as useContentManagerContext,
+  useFetchClient,
+  useNotification,
+} from '@strapi/strapi/admin';
+
+import { BLOG_POST_UID } from '../pluginId';
+
+const errorMessage = (error) => error?.response?.data?.error?.message || 'The preview link could not be created';
+
+const PreviewButtonContent = ({ documentId }) => {
+  const { post } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const [pending, setPending] = React.useState(false);
+
+  const openPreview = async () => {
+    // Opened before the request, so popup blockers treat it as a click
+    const preview = window.open('', '_blank');
+    setPending(true);
+
+    try {
+      const { data } = await post(`/editorial/posts/${documentId}/preview`);
+      preview.location.href = data.data.url;
+    } catch (error) {
+      preview.close();
+      toggleNotification({ type: 'danger', message: errorMessage(error) });
+    } finally {
+      setPending(false);
+    }
+  };
+
+  return (
+    <Box marginTop={2} width="100%">
+      <Button variant="secondary" fullWidth startIcon={<ExternalLink />} loading={pending} onClick={openPreview}>
+        Preview on asigurari.ro
+      </Button>
+    </Box>
+  );
+};
+
+/**
+ * "Preview on asigurari.ro" button of the blog post edit view
+ * (`editView.right-links`): opens the saved draft on the Symfony site
+ * through a signed preview link.
+ */
+const PreviewButton = () => {
+  const { model, id } = useContentManagerContext();
+
+  if (model !== BLOG_POST_UID || !id || id === 'create') {
+    return null;
+  }
+
+  return <PreviewButtonContent documentId={id} />;
+};
+
+export { PreviewButton };
@@ -0,0 +1,209 @@
+import * as React from 'react';
+import {
+  Badge,
+  Box,
+  Button,
+  Field,
+  Flex,
+  Modal,
+  SingleSelect,
+  SingleSelectOption,
+  Textarea,
+  Typography,
+} from '@strapi/design-system';
+import {
+  unstable_useContentManagerContext as useContentManagerContext,
+  unstable_useDocument as useDocument,
+  useFetchClient,
+  useNotification,
+  useQueryParams,
+} from '@strapi/strapi/admin';
+
+import { BLOG_POST_UID, STATUS_LABELS } from '../pluginId';
+
+const HISTORY_LIMIT = 5;
+
+const ACTION_BUTTONS = [
+  { action: 'submit', label: 'Submit for review', variant: 'default' },
+  { action: 'approve', label: 'Approve', variant: 'success-light' },
+  { action: 'compliance-approve', label: 'Compliance approve', variant: 'success-light' },
+];
+
+const errorMessage = (error) => error?.response?.data?.error?.message || 'The action failed';
+
+/**
+ * Reject modal: a reason from config/workflow.js and a required explanation.
+ */
+const RejectModal = ({ reasons, onReject }) => {
+  const [open, setOpen] = React.useState(false);
+  const [reason, setReason] = React.useState('');
+  const [comment, setComment] = React.useState('');
+  const [submitting, setSubmitting] = React.useState(false);
+
+  const handleReject = async () => {
+    setSubmitting(true);
+    const done = await onReject({ reason, comment });
+    setSubmitting(false);
+
+    if (done) {
+      setOpen(false);
+      setReason('');
+      setComment('');
+    }
+  };
+
+  return (
+    <Modal.Root open={open} onOpenChange={setOpen}>
+      <Modal.Trigger>
+        <Button variant="danger-light" fullWidth>Reject with reason</Button>
+      </Modal.Trigger>
+      <Modal.Content>
+        <Modal.Header>
+          <Modal.Title>Reject this post</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Flex direction="column" alignItems="stretch" gap={4}>
+            <Field.Root name="reason" required>
+              <Field.Label>Reason</Field.Label>
+              <SingleSelect value={reason} onChange={setReason} placeholder="Pick a reason">
+                {reasons.map(({ value, label }) => (
+                  <SingleSelectOption key={value} value={value}>{label}</SingleSelectOption>
+                ))}
+              </SingleSelect>
+            </Field.Root>
+            <Field.Root name="comment" required hint="Sent to the author and kept in the post's comment thread">
+              <Field.Label>Explanation</Field.Label>
+              <Textarea value={comment} onChange={(event) => setComment(event.target.value)} />
+              <Field.Hint />
+            </Field.Root>
+          </Flex>
+        </Modal.Body>
+        <Modal.Footer>
+          <Modal.Close>
+            <Button variant="tertiary">Cancel</Button>
+          </Modal.Close>
+          <Button variant="danger" onClick={handleReject} loading={submitting} disabled={!reason || !comment.trim()}>
+            Reject
+          </Button>
+        </Modal.Footer>
+      </Modal.Content>
+    </Modal.Root>
+  );
+};
+
+const History = ({ events }) => (
+  <Flex direction="column" alignItems="stretch" gap={2}>
+    <Typography variant="sigma" textColor="neutral600">History</Typography>
+    {events.length === 0 && <Typography variant="pi" textColor="neutral600">No review events yet.</Typography>}
+    {events.slice(-HISTORY_LIMIT).reverse().map((event) => (
+      <Box key={`${event.occurredAt}-${event.toStatus}`}>
+        <Typography variant="omega" fontWeight="semiBold">
+          {STATUS_LABELS[event.toStatus] || event.toStatus}
+        </Typography>
+        <Typography variant="pi" textColor="neutral600" tag="p">
+          {event.actorName || event.actorType} · {new Date(event.occurredAt).toLocaleString('ro-RO')}
+        </Typography>
+        {(event.reason || event.comment) && (
+          <Typography variant="pi" tag="p">
+            {[event.reason, event.comment].filter(Boolean).join(': ')}
+          </Typography>
+        )}
+      </Box>
+    ))}
+  </Flex>
+);
+
+const ReviewPanelContent = ({ model, collectionType, documentId }) => {
+  const { get, post } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const [{ query }] = useQueryParams();
+  const [review, setReview] = React.useState(null);
+  const [pending, setPending] = React.useState(null);
+
+  // Same query as the edit view, so refetch() reloads the form with the new reviewStatus
+  const params = React.useMemo(() => {
+    const { plugins, ...rest } = query || {};
+    return { ...rest, ...Object.assign({}, ...Object.values(plugins || {})) };
+  }, [query]);
+  const { refetch } = useDocument({ collectionType, model, documentId, params });
+
+  const url = `/editorial/posts/${documentId}/review`;
+
+  React.useEffect(() => {
+    get(url)
+      .then(({ data }) => setReview(data.data))
+      .catch((error) => toggleNotification({ type: 'danger', message: errorMessage(error) }));
+  }, [get, url, toggleNotification]);
+
+  const run = async (action, body = {}) => {
+    setPending(action);
+
+    try {
+      const { data } = await post(`${url}/${action}`, body);
+      setReview(data.data);
+      refetch();
+      toggleNotification({ type: 'success', message: `Review status: ${STATUS_LABELS[data.data.reviewStatus]}` });
+      return true;
+    } catch (error) {
+      toggleNotification({ type: 'danger', message: errorMessage(error) });
+      return false;
+    } finally {
+      setPending(null);
+    }
+  };
+
+  if (!review) {
+    return null;
+  }
+
+  return (
+    <Box background="neutral0" hasRadius shadow="tableShadow" padding={4} marginTop={2} width="100%">
+      <Flex direction="column" alignItems="stretch" gap={4}>
+        <Flex justifyContent="space-between">
+          <Typography variant="sigma" textColor="neutral600">Review workflow</Typography>
+          <Badge>{STATUS_LABELS[review.reviewStatus] || review.reviewStatus}</Badge>
+        </Flex>
+        {review.awaitsCompliance && (
+          <Typography variant="pi" textColor="neutral600">Awaiting the compliance sign-off.</Typography>
+        )}
+        {review.actions.length > 0 && (
+          <Flex direction="column" alignItems="stretch" gap={2}>
+            {ACTION_BUTTONS.filter(({ action }) => review.actions.includes(action)).map(({ action, label, variant }) => (
+              <Button
+                key={action}
+                variant={variant}
+                fullWidth
+                loading={pending === action}
+                disabled={pending !== null}
+                onClick={() => run(action)}
+              >
+                {label}
+              </Button>
+            ))}
+            {review.actions.includes('reject') && (
+              <RejectModal reasons={review.rejectionReasons} onReject={(body) => run('reject', body)} />
+            )}
+          </Flex>
+        )}
+        <History events={review.history} />
+      </Flex>
+    </Box>
+  );
+};
+
+/**
+ * Review workflow panel of the blog post edit view (`editView.right-links`
+ * injection zone): current review status, the workflow actions open to the
+ * admin user and the latest review events.
+ */
+const ReviewPanel = () => {
+  const { model, collectionType, id } = useContentManagerContext();
+
+  if (model !== BLOG_POST_UID || !id || id === 'create') {
+    return null;
+  }
+
+  return <ReviewPanelContent model={model} collectionType={collectionType} documentId={id} />;
+};
+
+export { ReviewPanel };
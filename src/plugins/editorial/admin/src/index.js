@@ -0,0 +1,50 @@
+import { ChartPie } from '@strapi/icons';
+
+import { EditLockNotice } from './components/EditLockNotice';
+import { InboundLinksNotice } from './components/InboundLinksNotice';
+import { PreviewButton } from './components/PreviewButton';
+import { ReviewPanel } from './components/ReviewPanel';
+import { PLUGIN_ID } from './pluginId';
+
+export default {
+  register(app) {
+    app.registerPlugin({ id: PLUGIN_ID, name: 'Editorial' });
+
+    // Editorial dashboard: the editors' working queue
+    app.addMenuLink({
+      to: `plugins/${PLUGIN_ID}`,
+      icon: ChartPie,
+      intlLabel: { id: `${PLUGIN_ID}.menu.dashboard`, defaultMessage: 'Editorial dashboard' },
+      Component: () => import('./pages/Dashboard'),
+      permissions: [],
+    });
+  },
+
+  bootstrap(app) {
+    const contentManager = app.getPlugin('content-manager');
+
+    // "Ana is editing this post" warning, from the soft edit lock
+    contentManager.injectComponent('editView', 'right-links', {
+      name: `${PLUGIN_ID}-edit-lock`,
+      Component: EditLockNotice,
+    });
+
+    // Workflow buttons and review history in the blog post edit view
+    contentManager.injectComponent('editView', 'right-links', {
+      name: `${PLUGIN_ID}-review-panel`,
+      Component: ReviewPanel,
+    });
+
+    // "Linked from 5 published posts" before a heavily linked post is unpublished
+    contentManager.injectComponent('editView', 'right-links', {
+      name: `${PLUGIN_ID}-inbound-links`,
+      Component: InboundLinksNotice,
+    });
+
+    // Open the saved draft on the Symfony site through a signed preview link
+    contentManager.injectComponent('editView', 'right-links', {
+      name: `${PLUGIN_ID}-preview`,
+      Component: PreviewButton,
+    });
+  },
+};
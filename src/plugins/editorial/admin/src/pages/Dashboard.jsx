@@ -0,0 +1,133 @@
+import * as React from 'react';
+import { Link } from 'react-router-dom';
+import { Badge, Box, Flex, Table, Tbody, Td, Th, Thead, Tr, Typography } from '@strapi/design-system';
+import { Layouts, Page, useFetchClient } from '@strapi/strapi/admin';
+
+import { STATUS_LABELS, editUrl } from '../pluginId';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('ro-RO') : '-');
+
+const StatusCounts = ({ counts }) => (
+  <Flex gap={4} wrap="wrap">
+    {Object.entries(counts.byStatus).map(([status, count]) => (
+      <Box key={status} background="neutral0" hasRadius shadow="tableShadow" padding={4} minWidth="160px">
+        <Typography variant="pi" textColor="neutral600">{STATUS_LABELS[status] || status}</Typography>
+        <Typography tag="p" variant="alpha">{count}</Typography>
+      </Box>
+    ))}
+    <Box background="neutral0" hasRadius shadow="tableShadow" padding={4} minWidth="160px">
+      <Typography variant="pi" textColor="neutral600">Live on the site</Typography>
+      <Typography tag="p" variant="alpha">{counts.published}</Typography>
+    </Box>
+  </Flex>
+);
+
+/**
+ * A titled table of posts, each linking to its Content Manager edit view.
+ */
+const PostTable = ({ title, total, items, columns }) => (
+  <Box background="neutral0" hasRadius shadow="tableShadow" padding={6}>
+    <Flex justifyContent="space-between" paddingBottom={4}>
+      <Typography variant="delta" tag="h2">{title}</Typography>
+      {total !== undefined && <Badge>{total}</Badge>}
+    </Flex>
+    {items.length === 0 ? (
+      <Typography textColor="neutral600">Nothing here.</Typography>
+    ) : (
+      <Table colCount={columns.length + 2} rowCount={items.length + 1}>
+        <Thead>
+          <Tr>
+            <Th><Typography variant="sigma">Title</Typography></Th>
+            <Th><Typography variant="sigma">System</Typography></Th>
+            {columns.map((column) => (
+              <Th key={column.label}><Typography variant="sigma">{column.label}</Typography></Th>
+            ))}
+          </Tr>
+        </Thead>
+        <Tbody>
+          {items.map((post) => (
+            <Tr key={post.documentId}>
+              <Td>
+                <Link to={editUrl(post.documentId)}>
+                  <Typography textColor="primary600">{post.title}</Typography>
+                </Link>
+              </Td>
+              <Td><Typography>{post.system}</Typography></Td>
+              {columns.map((column) => (
+                <Td key={column.label}><Typography>{column.value(post)}</Typography></Td>
+              ))}
+            </Tr>
+          ))}
+        </Tbody>
+      </Table>
+    )}
+  </Box>
+);
+
+const Dashboard = () => {
+  const { get } = useFetchClient();
+  const [dashboard, setDashboard] = React.useState(null);
+  const [error, setError] = React.useState(false);
+
+  React.useEffect(() => {
+    get('/editorial/dashboard')
+      .then(({ data }) => setDashboard(data.data))
+      .catch(() => setError(true));
+  }, [get]);
+
+  if (error) {
+    return <Page.Error />;
+  }
+
+  if (!dashboard) {
+    return <Page.Loading />;
+  }
+
+  const { counts, pendingReview, stale, missingFields, recentlyPublished } = dashboard;
+
+  return (
+    <Page.Main>
+      <Page.Title>Editorial dashboard</Page.Title>
+      <Layouts.Header title="Editorial dashboard" subtitle={`${counts.total} blog posts`} />
+      <Layouts.Content>
+        <Flex direction="column" alignItems="stretch" gap={6}>
+          <StatusCounts counts={counts} />
+          <PostTable
+            title="Oldest pending reviews"
+            total={pendingReview.total}
+            items={pendingReview.items}
+            columns={[
+              { label: 'Submitted', value: (post) => formatDate(post.submittedAt) },
+              { label: 'Waiting', value: (post) => `${post.ageDays} days` },
+            ]}
+          />
+          <PostTable
+            title="Stale posts (past their review date)"
+            total={stale.total}
+            items={stale.items}
+            columns={[
+              { label: 'Review due', value: (post) => formatDate(post.reviewDue) },
+              { label: 'Overdue', value: (post) => `${post.daysOverdue} days` },
+            ]}
+          />
+          <PostTable
+            title="Missing image or meta fields"
+            total={missingFields.total}
+            items={missingFields.items}
+            columns={[
+              { label: 'Missing', value: (post) => post.missing.join(', ') },
+              { label: 'Status', value: (post) => STATUS_LABELS[post.reviewStatus] || post.reviewStatus },
+            ]}
+          />
+          <PostTable
+            title="Recently published"
+            items={recentlyPublished.items}
+            columns={[{ label: 'Published', value: (post) => formatDate(post.publishedAt) }]}
+          />
+        </Flex>
+      </Layouts.Content>
+    </Page.Main>
+  );
+};
+
+export default Dashboard;
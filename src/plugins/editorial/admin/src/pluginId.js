@@ -0,0 +1,14 @@
+export const PLUGIN_ID = 'editorial';
+
+export const BLOG_POST_UID = 'api::blog-post.blog-post';
+
+export const STATUS_LABELS = {
+  draft: 'Draft',
+  pending_review: 'Pending review',
+  approved: 'Approved',
+  compliance_approved: 'Compliance approved',
+  rejected: 'Rejected',
+};
+
+// Content Manager edit view of a blog post
+export const editUrl = (documentId) => `/content-manager/collection-types/${BLOG_POST_UID}/${documentId}`;
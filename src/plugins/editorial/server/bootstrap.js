@@ -0,0 +1,34 @@
+'use strict';
+
+const UID = 'api::blog-post.blog-post';
+
+// Fields set by the server, never edited in the Content Manager form
+const READ_ONLY_FIELDS = ['reviewStatus', 'seoScore', 'seoWarnings', 'lastPublishedPath'];
+
+/**
+ * Make the server-set fields read-only in the Content Manager edit view:
+ * the review status changes through the workflow buttons
+ * (admin/src/components/ReviewPanel), the SEO score on every save, the
+ * last published path when the published version is replaced.
+ */
+async function lockReadOnlyFields(strapi) {
+  const contentTypes = strapi.plugin('content-manager').service('content-types');
+  const contentType = contentTypes.findContentType(UID);
+  const configuration = await contentTypes.findConfiguration(contentType);
+  const fields = READ_ONLY_FIELDS.filter((field) => (
+    configuration.metadatas[field] && configuration.metadatas[field].edit.editable !== false
+  ));
+
+  if (fields.length === 0) return;
+
+  const metadatas = { ...configuration.metadatas };
+  for (const field of fields) {
+    metadatas[field] = { ...metadatas[field], edit: { ...metadatas[field].edit, editable: false } };
+  }
+
+  await contentTypes.updateConfiguration(contentType, { ...configuration, metadatas });
+}
+
+module.exports = async ({ strapi }) => {
+  await lockReadOnlyFields(strapi);
+};
@@ -0,0 +1,11 @@
+'use strict';
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * GET /editorial/dashboard
+   */
+  async index(ctx) {
+    ctx.body = { data: await strapi.plugin('editorial').service('dashboard').build() };
+  },
+});
@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = {
+  dashboard: require('./dashboard'),
+  links: require('./links'),
+  lock: require('./lock'),
+  preview: require('./preview'),
+  review: require('./review'),
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Inbound links of the blog post edit view (services/post-link.js of the
+ * post-link API), so editors see what breaks before they unpublish a post.
+ */
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * GET /editorial/posts/:documentId/links
+   */
+  async findOne(ctx) {
+    const { documentId } = ctx.params;
+    await strapi.plugin('editorial').service('review').findPost(documentId);
+
+    const inbound = await strapi.service('api::post-link.post-link').findInbound(documentId);
+    const warnInboundCount = strapi.config.get('workflow.links.warnInboundCount');
+
+    ctx.body = {
+      data: { inbound, heavilyLinked: inbound.length >= warnInboundCount },
+      meta: { warnInboundCount },
+    };
+  },
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Soft edit locks of the blog post edit view (services/editing.js of the
+ * blog-post API), taken by the admin user who opens a post.
+ */
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * GET /editorial/posts/:documentId/lock
+   */
+  async findOne(ctx) {
+    const { documentId } = ctx.params;
+    await strapi.plugin('editorial').service('review').findPost(documentId);
+
+    const editing = strapi.service('api::blog-post.editing');
+    const lock = await editing.getLock(documentId);
+    const actor = strapi.service('api::blog-post.workflow').getActor(ctx.state);
+
+    ctx.body = { data: editing.formatLock(lock, actor), meta: {} };
+  },
+
+  /**
+   * POST /editorial/posts/:documentId/lock
+   */
+  async acquire(ctx) {
+    const { documentId } = ctx.params;
+    await strapi.plugin('editorial').service('review').findPost(documentId);
+
+    const editing = strapi.service('api::blog-post.editing');
+    const actor = strapi.service('api::blog-post.workflow').getActor(ctx.state);
+    const { acquired, lock } = await editing.acquireLock(documentId, actor);
+
+    ctx.body = { data: editing.formatLock(lock, actor), meta: { acquired } };
+  },
+
+  /**
+   * DELETE /editorial/posts/:documentId/lock
+   */
+  async release(ctx) {
+    const { documentId } = ctx.params;
+
+    const actor = strapi.service('api::blog-post.workflow').getActor(ctx.state);
+    const released = await strapi.service('api::blog-post.editing').releaseLock(documentId, actor);
+
+    ctx.body = { data: null, meta: { released } };
+  },
+});
@@ -0,0 +1,19 @@
+'use strict';
+
+/**
+ * Draft preview links of the blog post edit view (services/preview.js of
+ * the blog-post API).
+ */
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * POST /editorial/posts/:documentId/preview
+   */
+  async create(ctx) {
+    const { documentId } = ctx.params;
+    const post = await strapi.plugin('editorial').service('review').findPost(documentId);
+
+    ctx.body = { data: strapi.service('api::blog-post.preview').createToken(post), meta: {} };
+  },
+});
@@ -0,0 +1,28 @@
+'use strict';
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * GET /editorial/posts/:documentId/review
+   */
+  async findOne(ctx) {
+    const { documentId } = ctx.params;
+
+    ctx.body = {
+      data: await strapi.plugin('editorial').service('review').getState(documentId, ctx.state),
+    };
+  },
+
+  /**
+   * POST /editorial/posts/:documentId/review/:action
+   * Body: { comment, reason } (reason: rejections only)
+   */
+  async run(ctx) {
+    const { documentId, action } = ctx.params;
+    const { comment, reason } = ctx.request.body || {};
+
+    ctx.body = {
+      data: await strapi.plugin('editorial').service('review').run(action, documentId, ctx.state, { comment, reason }),
+    };
+  },
+});
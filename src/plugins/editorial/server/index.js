@@ -0,0 +1,16 @@
+'use strict';
+
+/**
+ * Editorial plugin (server).
+ *
+ * Admin panel routes for the editorial tools. They are authenticated with
+ * the admin panel session, unlike the content API routes of the blog-post
+ * API, and reuse the blog-post services.
+ */
+
+module.exports = {
+  bootstrap: require('./bootstrap'),
+  routes: require('./routes'),
+  controllers: require('./controllers'),
+  services: require('./services'),
+};
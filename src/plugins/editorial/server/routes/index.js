@@ -0,0 +1,81 @@
+'use strict';
+
+module.exports = {
+  admin: {
+    type: 'admin',
+    routes: [
+      {
+        method: 'GET',
+        path: '/dashboard',
+        handler: 'dashboard.index',
+        config: {
+          policies: ['admin::isAuthenticatedAdmin'],
+          description: 'Editorial dashboard: review queue, stale posts, missing fields, recent publishes',
+        },
+      },
+      {
+        method: 'GET',
+        path: '/posts/:documentId/review',
+        handler: 'review.findOne',
+        config: {
+          policies: ['admin::isAuthenticatedAdmin'],
+          description: 'Review status, available workflow actions and review history of a blog post',
+        },
+      },
+      {
+        method: 'POST',
+        path: '/posts/:documentId/review/:action',
+        handler: 'review.run',
+        config: {
+          policies: ['admin::isAuthenticatedAdmin'],
+          description: 'Submit, approve, compliance-approve or reject a blog post from the Content Manager',
+        },
+      },
+      {
+        method: 'GET',
+        path: '/posts/:documentId/lock',
+        handler: 'lock.findOne',
+        config: {
+          policies: ['admin::isAuthenticatedAdmin'],
+          description: 'Edit lock of a blog post (who is editing it)',
+        },
+      },
+      {
+        method: 'POST',
+        path: '/posts/:documentId/lock',
+        handler: 'lock.acquire',
+        config: {
+          policies: ['admin::isAuthenticatedAdmin'],
+          description: 'Take or renew the edit lock of a blog post',
+        },
+      },
+      {
+        method: 'DELETE',
+        path: '/posts/:documentId/lock',
+        handler: 'lock.release',
+        config: {
+          policies: ['admin::isAuthenticatedAdmin'],
+          description: 'Release the edit lock of a blog post',
+        },
+      },
+      {
+        method: 'GET',
+        path: '/posts/:documentId/links',
+        handler: 'links.findOne',
+        config: {
+          policies: ['admin::isAuthenticatedAdmin'],
+          description: 'Published posts linking to a blog post',
+        },
+      },
+      {
+        method: 'POST',
+        path: '/posts/:documentId/preview',
+        handler: 'preview.create',
+        config: {
+          policies: ['admin::isAuthenticatedAdmin'],
+          description: 'Issue a signed preview link to the draft of a blog post',
+        },
+      },
+    ],
+  },
+};
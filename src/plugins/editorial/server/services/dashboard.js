@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * Editorial dashboard data: the editors' working queue.
+ *
+ * - counts per review status (overall and per system)
+ * - the oldest pending reviews
+ * - published posts past their content review date
+ * - posts missing their featured image or meta fields
+ * - the latest publishes
+ */
+
+const UID = 'api::blog-post.blog-post';
+const LIST_LIMIT = 10;
+
+const POST_FIELDS = [
+  'id', 'documentId', 'title', 'slug', 'system', 'reviewStatus',
+  'metaTitle', 'metaDescription', 'featuredImageUrl', 'publishedAt', 'updatedAt',
+];
+
+function toItem(post) {
+  return {
+    documentId: post.documentId,
+    title: post.title,
+    slug: post.slug,
+    system: post.system,
+    reviewStatus: post.reviewStatus,
+    updatedAt: post.updatedAt,
+  };
+}
+
+/**
+ * Fields an editor still has to fill before the post is complete.
+ */
+function getMissingFields(post) {
+  const missing = [];
+  if (!post.featuredImage && !post.featuredImageUrl) missing.push('featuredImage');
+  if (!post.metaTitle) missing.push('metaTitle');
+  if (!post.metaDescription) missing.push('metaDescription');
+  return missing;
+}
+
+module.exports = ({ strapi }) => ({
+
+  async build() {
+    const [counts, pendingReview, stale, missingFields, recentlyPublished] = await Promise.all([
+      strapi.service('api::blog-post.status-report').summary(),
+      this.findPendingReview(),
+      this.findStale(),
+      this.findMissingFields(),
+      this.findRecentlyPublished(),
+    ]);
+
+    return { counts, pendingReview, stale, missingFields, recentlyPublished };
+  },
+
+  /**
+   * Oldest pending reviews first, with how long they have been waiting.
+   */
+  async findPendingReview() {
+    const posts = await strapi.db.query(UID).findMany({
+      select: POST_FIELDS,
+      where: { publishedAt: null, reviewStatus: 'pending_review' },
+      populate: { category: { select: ['name', 'slug'] } },
+    });
+
+    const items = await strapi
+      .service('api::editorial-calendar.editorial-calendar')
+      .withReviewAge(posts);
+
+    return { total: items.length, items: items.slice(0, LIST_LIMIT) };
+  },
+
+  async findStale() {
+    const posts = await strapi.service('api::blog-post.freshness').findStale();
+
+    return {
+      total: posts.length,
+      items: posts.slice(0, LIST_LIMIT).map((post) => ({
+        ...toItem(post),
+        reviewDue: post.reviewDue,
+        daysOverdue: post.daysOverdue,
+      })),
+    };
+  },
+
+  /**
+   * Posts (current drafts) without a featured image, meta title or meta
+   * description, most recently updated first.
+   */
+  async findMissingFields() {
+    const posts = await strapi.db.query(UID).findMany({
+      select: POST_FIELDS,
+      where: { publishedAt: null },
+      populate: { featuredImage: { select: ['id'] } },
+      orderBy: { updatedAt: 'desc' },
+    });
+
+    const incomplete = posts
+      .map((post) => ({ ...toItem(post), missing: getMissingFields(post) }))
+      .filter((post) => post.missing.length > 0);
+
+    return { total: incomplete.length, items: incomplete.slice(0, LIST_LIMIT) };
+  },
+
+  async findRecentlyPublished() {
+    const posts = await strapi.db.query(UID).findMany({
+      select: POST_FIELDS,
+      where: { publishedAt: { $notNull: true } },
+      orderBy: { publishedAt: 'desc' },
+      limit: LIST_LIMIT,
+    });
+
+    return {
+      items: posts.map((post) => ({ ...toItem(post), publishedAt: post.publishedAt })),
+    };
+  },
+});
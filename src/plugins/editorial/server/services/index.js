@@ -0,0 +1,6 @@
+'use strict';
+
+module.exports = {
+  dashboard: require('./dashboard'),
+  review: require('./review'),
+};
@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * Review workflow of a blog post, for the Content Manager edit view.
+ *
+ * Lists the workflow actions the admin user can take on a post and runs
+ * them through the blog-post workflow service, so the admin panel follows
+ * the same transition rules, review log and notifications as the REST
+ * endpoints. The reviewStatus field itself is read-only in the form.
+ */
+
+const { errors } = require('@strapi/utils');
+
+const UID = 'api::blog-post.blog-post';
+
+/**
+ * Admin panel authors only submit the posts they created.
+ */
+function isCreator(post, state) {
+  return Boolean(post.createdBy && state.user && post.createdBy.id === state.user.id);
+}
+
+/**
+ * Workflow actions by route name: whether the caller may take the action
+ * on the post, and how to run it.
+ */
+const ACTIONS = {
+  submit: {
+    allowed: (workflow, post, state) => ['draft', 'rejected'].includes(post.reviewStatus)
+      && (workflow.isStaff(state) || (workflow.getRole(state) === 'author' && isCreator(post, state))),
+    run: (workflow, post, state, { comment }) => workflow.submit(post, state, { comment }),
+  },
+
+  approve: {
+    allowed: (workflow, post, state) => post.reviewStatus === 'pending_review' && workflow.isStaff(state),
+    run: (workflow, post, state, { comment }) => workflow.approve(post, state, { comment }),
+  },
+
+  'compliance-approve': {
+    allowed: (workflow, post, state) => workflow.awaitsCompliance(post)
+      && ['compliance', 'admin'].includes(workflow.getRole(state)),
+    run: (workflow, post, state, { comment }) => workflow.complianceApprove(post, state, { comment }),
+  },
+
+  reject: {
+    allowed: (workflow, post, state) => workflow.canReject(post, state),
+    run: (workflow, post, state, { reason, comment }) => workflow.reject(post, state, { reason, comment }),
+  },
+};
+
+module.exports = ({ strapi }) => ({
+
+  /**
+   * Current review state of a post: status, the actions the caller can
+   * take, the rejection reasons and the review history (oldest first).
+   *
+   * @param {string} documentId - Blog post documentId
+   * @param {object} state - ctx.state of the admin user
+   */
+  async getState(documentId, state) {
+    const post = await this.findPost(documentId);
+    const workflow = strapi.service('api::blog-post.workflow');
+    const reasons = strapi.config.get('workflow.rejectionReasons', {});
+
+    const events = await strapi
+      .service('api::review-event.review-event')
+      .findTimeline(documentId);
+
+    return {
+      documentId,
+      reviewStatus: post.reviewStatus,
+      requiresCompliance: workflow.requiresCompliance(post.system),
+      awaitsCompliance: workflow.awaitsCompliance(post),
+      actions: Object.keys(ACTIONS).filter((action) => ACTIONS[action].allowed(workflow, post, state)),
+      rejectionReasons: Object.entries(reasons).map(([value, label]) => ({ value, label })),
+      history: events.map((event) => ({
+        fromStatus: event.fromStatus,
+        toStatus: event.toStatus,
+        actorName: event.actorName,
+        actorType: event.actorType,
+        reason: event.reason ? reasons[event.reason] || event.reason : null,
+        comment: event.comment,
+        occurredAt: event.occurredAt,
+      })),
+    };
+  },
+
+  /**
+   * Take a workflow action on a post and return its new review state.
+   *
+   * @param {string} action - submit, approve, compliance-approve or reject
+   * @param {string} documentId - Blog post documentId
+   * @param {object} state - ctx.state of the admin user
+   * @param {object} params - { comment, reason }
+   */
+  async run(action, documentId, state, params = {}) {
+    if (!ACTIONS[action]) {
+      throw new errors.ValidationError(`Invalid action. Must be one of: ${Object.keys(ACTIONS).join(', ')}`);
+    }
+
+    const post = await this.findPost(documentId);
+    const workflow = strapi.service('api::blog-post.workflow');
+
+    if (!ACTIONS[action].allowed(workflow, post, state)) {
+      throw new errors.ValidationError(`You cannot ${action.replace('-', ' ')} this post in its current state`);
+    }
+
+    await ACTIONS[action].run(workflow, post, state, params);
+
+    return this.getState(documentId, state);
+  },
+
+  /**
+   * The draft of a post, which carries its current review status.
+   */
+  async findPost(documentId) {
+    const post = await strapi.db.query(UID).findOne({
+      where: { documentId, publishedAt: null },
+      populate: { createdBy: { select: ['id'] } },
+    });
+
+    if (!post) {
+      throw new errors.NotFoundError('Blog post not found');
+    }
+
+    return post;
+  },
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const { describe, before, after, it } = require('node:test');
+const assert = require('node:assert');
+
+const { setup, teardown, request, createUser } = require('../helpers/strapi');
+
+const content = [{ type: 'paragraph', children: [{ type: 'text', text: 'Ce acopera asigurarea de sanatate.' }] }];
+
+describe('access to the workflow routes of a post', () => {
+  let owner;
+  let otherAuthor;
+  let editor;
+  let compliance;
+  let post;
+  let app;
+
+  before(async () => {
+    app = await setup();
+    owner = await createUser('author');
+    otherAuthor = await createUser('author');
+    editor = await createUser('editor');
+    compliance = await createUser('compliance');
+
+    const created = await request('POST', '/blog-posts?status=draft', {
+      token: owner.token,
+      body: { data: { title: 'Asigurarea de sanatate', slug: 'asigurarea-de-sanatate', excerpt: 'Ce acopera', system: 'home', content } },
+    });
+    post = created.body.data;
+  });
+
+  after(teardown);
+
+  it('opens the review thread to the owner and the review staff only', async () => {
+    const comment = { data: { comment: 'Sursa pentru cifre?' } };
+
+    assert.strictEqual((await request('POST', `/blog-posts/${post.id}/comments`, { token: editor.token, body: comment })).status, 200);
+    assert.strictEqual((await request('POST', `/blog-posts/${post.id}/comments`, { token: compliance.token, body: comment })).status, 200);
+    assert.strictEqual((await request('GET', `/blog-posts/${post.id}/comments`, { token: owner.token })).status, 200);
+
+    assert.strictEqual((await request('GET', `/blog-posts/${post.id}/comments`, { token: otherAuthor.token })).status, 403);
+    assert.strictEqual((await request('POST', `/blog-posts/${post.id}/comments`, { token: otherAuthor.token, body: comment })).status, 403);
+  });
+
+  it('issues preview links to the owner and the review staff only', async () => {
+    assert.strictEqual((await request('POST', `/blog-posts/${post.id}/preview-token`, { token: owner.token })).status, 200);
+    assert.strictEqual((await request('POST', `/blog-posts/${post.id}/preview-token`, { token: compliance.token })).status, 200);
+    assert.strictEqual((await request('POST', `/blog-posts/${post.id}/preview-token`, { token: otherAuthor.token })).status, 403);
+  });
+
+  it('lets the owner and the editors clone a post', async () => {
+    assert.strictEqual((await request('POST', `/blog-posts/${post.id}/clone`, { token: owner.token })).status, 201);
+    assert.strictEqual((await request('POST', `/blog-posts/${post.id}/clone`, { token: editor.token })).status, 201);
+    assert.strictEqual((await request('POST', `/blog-posts/${post.id}/clone`, { token: otherAuthor.token })).status, 403);
+  });
+
+  it('shows the revisions to the owner and the review staff only', async () => {
+    await request('PUT', `/blog-posts/${post.documentId}`, { token: owner.token, body: { data: { excerpt: 'Ce acopera si ce nu' } } });
+
+    for (const path of ['revisions', 'revisions/1', 'revisions/diff']) {
+      assert.strictEqual((await request('GET', `/blog-posts/${post.id}/${path}`, { token: owner.token })).status, 200, path);
+      assert.strictEqual((await request('GET', `/blog-posts/${post.id}/${path}`, { token: compliance.token })).status, 200, path);
+      assert.strictEqual((await request('GET', `/blog-posts/${post.id}/${path}`, { token: otherAuthor.token })).status, 403, path);
+    }
+  });
+
+  it('lets the owner and the editors take the edit lock, one at a time', async () => {
+    assert.strictEqual((await request('POST', `/blog-posts/${post.id}/lock`, { token: otherAuthor.token })).status, 403);
+    assert.strictEqual((await request('GET', `/blog-posts/${post.id}/lock`, { token: otherAuthor.token })).status, 403);
+
+    const [mine, theirs] = await Promise.all([
+      request('POST', `/blog-posts/${post.id}/lock`, { token: owner.token }),
+      request('POST', `/blog-posts/${post.id}/lock`, { token: editor.token }),
+    ]);
+    assert.deepStrictEqual([mine.body.meta.acquired, theirs.body.meta.acquired].sort(), [false, true]);
+
+    const lock = await request('GET', `/blog-posts/${post.id}/lock`, { token: compliance.token });
+    assert.strictEqual(lock.status, 200);
+  });
+
+  it('only takes users-permissions users for owners', () => {
+    const workflow = app.service('api::blog-post.workflow');
+    const owned = { owner: { id: owner.user.id } };
+
+    assert.strictEqual(workflow.isOwner({ auth: { strategy: { name: 'users-permissions' } }, user: owner.user }, owned), true);
+    assert.strictEqual(workflow.isOwner({ auth: { strategy: { name: 'admin' } }, user: { id: owner.user.id } }, owned), false);
+  });
+});
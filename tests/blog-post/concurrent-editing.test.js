@@ -0,0 +1,77 @@
+'use strict';
+
+const { describe, before, after, it } = require('node:test');
+const assert = require('node:assert');
+
+const { setup, teardown, request, adminRequest, createUser, createAdminUser } = require('../helpers/strapi');
+
+const UID = 'api::blog-post.blog-post';
+const content = [{ type: 'paragraph', children: [{ type: 'text', text: 'Cand se plateste dauna CASCO.' }] }];
+
+describe('conflict detection', () => {
+  let author;
+  let editor;
+
+  before(async () => {
+    await setup();
+    author = await createUser('author');
+    editor = await createAdminUser('strapi-editor');
+  });
+
+  after(teardown);
+
+  async function createDraft(slug) {
+    const created = await request('POST', '/blog-posts?status=draft', {
+      token: author.token,
+      body: { data: { title: 'Dauna CASCO', slug, excerpt: 'Termene', system: 'home', content } },
+    });
+    assert.strictEqual(created.status, 201);
+    return created.body.data;
+  }
+
+  it('refuses a REST update based on an outdated version', async () => {
+    const post = await createDraft('dauna-casco-rest');
+
+    const first = await request('PUT', `/blog-posts/${post.documentId}`, {
+      token: author.token,
+      body: { data: { excerpt: 'Termene de plata', updatedAt: post.updatedAt } },
+    });
+    assert.strictEqual(first.status, 200);
+
+    const stale = await request('PUT', `/blog-posts/${post.documentId}`, {
+      token: author.token,
+      body: { data: { excerpt: 'Alte termene', updatedAt: post.updatedAt } },
+    });
+    assert.strictEqual(stale.status, 409);
+    assert.deepStrictEqual(stale.body.error.details.fields, ['excerpt']);
+
+    const current = await request('PUT', `/blog-posts/${post.documentId}`, {
+      token: author.token,
+      body: { data: { excerpt: 'Alte termene', updatedAt: first.body.data.updatedAt } },
+    });
+    assert.strictEqual(current.status, 200);
+  });
+
+  it('refuses a Content Manager save based on an outdated version', async () => {
+    const post = await createDraft('dauna-casco-cm');
+
+    await request('PUT', `/blog-posts/${post.documentId}`, {
+      token: author.token,
+      body: { data: { excerpt: 'Termene de plata' } },
+    });
+
+    const stale = await adminRequest('PUT', `/content-manager/collection-types/${UID}/${post.documentId}`, {
+      token: editor.token,
+      body: { title: 'Dauna CASCO: termene', updatedAt: post.updatedAt },
+    });
+    assert.strictEqual(stale.body.error.name, 'ConflictError');
+    assert.ok(stale.body.error.details.changedFields.includes('excerpt'));
+
+    const saved = await adminRequest('GET', `/content-manager/collection-types/${UID}/${post.documentId}`, { token: editor.token });
+    const current = await adminRequest('PUT', `/content-manager/collection-types/${UID}/${post.documentId}`, {
+      token: editor.token,
+      body: { title: 'Dauna CASCO: termene', updatedAt: saved.body.data.updatedAt },
+    });
+    assert.strictEqual(current.status, 200);
+  });
+});
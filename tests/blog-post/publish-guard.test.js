@@ -0,0 +1,65 @@
+'use strict';
+
+const { describe, before, after, it } = require('node:test');
+const assert = require('node:assert');
+
+const { setup, teardown, request, createUser, createApiToken } = require('../helpers/strapi');
+
+const content = [{ type: 'paragraph', children: [{ type: 'text', text: 'Cum alegi o asigurare de calatorie.' }] }];
+
+describe('publish guard', () => {
+  let author;
+  let adminToken;
+
+  before(async () => {
+    await setup();
+    author = await createUser('author');
+    adminToken = await createApiToken('test-admin', 'admin');
+  });
+
+  after(teardown);
+
+  async function createDraft(slug) {
+    const created = await request('POST', '/blog-posts?status=draft', {
+      token: author.token,
+      body: { data: { title: 'Asigurarea de calatorie', slug, excerpt: 'Ce alegi', system: 'home', content } },
+    });
+    assert.strictEqual(created.status, 201);
+    return created.body.data;
+  }
+
+  it('refuses to publish a draft that was not approved, also for a Super Admin', async () => {
+    const { documentId } = await createDraft('calatorie-fara-aprobare');
+
+    const published = await request('PUT', `/blog-posts/${documentId}?status=published`, {
+      token: adminToken,
+      body: { data: {} },
+    });
+    assert.strictEqual(published.status, 400);
+    assert.match(published.body.error.message, /Only approved posts can be published/);
+  });
+
+  it('lets a Super Admin publish it with an explicit override, logged in the review history', async () => {
+    const { id, documentId } = await createDraft('calatorie-override');
+
+    const published = await request('PUT', `/blog-posts/${documentId}?status=published&override=true`, {
+      token: adminToken,
+      body: { data: {} },
+    });
+    assert.strictEqual(published.status, 200);
+    assert.ok(published.body.data.publishedAt);
+
+    const history = await request('GET', `/blog-posts/${id}/review-history`, { token: adminToken });
+    assert.ok(history.body.data.some((event) => /Super Admin override/.test(event.comment)));
+  });
+
+  it('ignores the override for the other roles', async () => {
+    const { documentId } = await createDraft('calatorie-override-autor');
+
+    const published = await request('PUT', `/blog-posts/${documentId}?status=published&override=true`, {
+      token: author.token,
+      body: { data: {} },
+    });
+    assert.strictEqual(published.status, 400);
+  });
+});
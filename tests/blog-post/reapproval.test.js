@@ -0,0 +1,65 @@
+'use strict';
+
+const { describe, before, after, it } = require('node:test');
+const assert = require('node:assert');
+
+const { setup, teardown, request, createUser } = require('../helpers/strapi');
+
+const content = [{ type: 'paragraph', children: [{ type: 'text', text: 'Ce acopera asigurarea locuintei.' }] }];
+
+describe('re-approval of a published post', () => {
+  let author;
+  let editor;
+
+  before(async () => {
+    await setup();
+    author = await createUser('author');
+    editor = await createUser('editor');
+  });
+
+  after(teardown);
+
+  it('keeps the published version live until the edit is approved and published', async () => {
+    const created = await request('POST', '/blog-posts?status=draft', {
+      token: author.token,
+      body: { data: { title: 'Asigurarea locuintei', slug: 'asigurarea-locuintei', excerpt: 'Prima versiune', system: 'home', content } },
+    });
+    assert.strictEqual(created.status, 201);
+    const { id, documentId } = created.body.data;
+
+    assert.strictEqual((await request('POST', `/blog-posts/${id}/submit-for-review`, { token: author.token })).status, 200);
+    assert.strictEqual((await request('POST', `/blog-posts/${id}/approve`, { token: editor.token })).status, 200);
+    assert.strictEqual((await request('PUT', `/blog-posts/${documentId}?status=published`, {
+      token: editor.token,
+      body: { data: {} },
+    })).status, 200);
+
+    // The edit is saved to the draft, which needs a new approval
+    const edited = await request('PUT', `/blog-posts/${documentId}`, {
+      token: author.token,
+      body: { data: { excerpt: 'A doua versiune' } },
+    });
+    assert.strictEqual(edited.status, 200);
+    assert.strictEqual(edited.body.data.reviewStatus, 'pending_review');
+
+    let live = await request('GET', `/blog-posts/${documentId}`, { token: editor.token });
+    assert.strictEqual(live.body.data.excerpt, 'Prima versiune');
+
+    // Not publishable before it is approved again
+    const refused = await request('PUT', `/blog-posts/${documentId}?status=published`, {
+      token: editor.token,
+      body: { data: {} },
+    });
+    assert.strictEqual(refused.status, 400);
+
+    assert.strictEqual((await request('POST', `/blog-posts/${id}/approve`, { token: editor.token })).status, 200);
+    assert.strictEqual((await request('PUT', `/blog-posts/${documentId}?status=published`, {
+      token: editor.token,
+      body: { data: {} },
+    })).status, 200);
+
+    live = await request('GET', `/blog-posts/${documentId}`, { token: editor.token });
+    assert.strictEqual(live.body.data.excerpt, 'A doua versiune');
+    assert.strictEqual(live.body.data.reviewStatus, 'approved');
+  });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const { describe, before, after, it } = require('node:test');
+const assert = require('node:assert');
+
+const { setup, teardown, request, createUser } = require('../helpers/strapi');
+
+const content = [{ type: 'paragraph', children: [{ type: 'text', text: 'Ce faci dupa un accident.' }] }];
+
+describe('reviewer assignment on submit', () => {
+  let app;
+  let author;
+  let editors;
+
+  before(async () => {
+    app = await setup();
+    author = await createUser('author');
+    editors = [await createUser('editor'), await createUser('editor')];
+  });
+
+  after(teardown);
+
+  async function createDraft(slug) {
+    const created = await request('POST', '/blog-posts?status=draft', {
+      token: author.token,
+      body: { data: { title: 'Dupa un accident', slug, excerpt: 'Pasii', system: 'home', content } },
+    });
+    return created.body.data;
+  }
+
+  it('saves the status and the reviewer of a submitted post together', async () => {
+    const post = await createDraft('dupa-accident');
+    const saves = [];
+    const unsubscribe = app.db.lifecycles.subscribe({
+      models: ['api::blog-post.blog-post'],
+      beforeUpdate: (event) => saves.push(Object.keys(event.params.data)),
+    });
+
+    try {
+      const submitted = await request('POST', `/blog-posts/${post.id}/submit-for-review`, { token: author.token });
+      assert.strictEqual(submitted.status, 200);
+    } finally {
+      unsubscribe();
+    }
+
+    assert.strictEqual(saves.length, 1);
+    assert.ok(saves[0].includes('reviewStatus') && saves[0].includes('reviewer'));
+
+    const draft = await app.db.query('api::blog-post.blog-post').findOne({ where: { id: post.id }, populate: ['reviewer'] });
+    assert.strictEqual(draft.reviewStatus, 'pending_review');
+    assert.ok(editors.some(({ user }) => user.id === draft.reviewer.id));
+  });
+
+  it('gives concurrent submissions the next reviewers in turn', async () => {
+    const posts = [await createDraft('accident-1'), await createDraft('accident-2')];
+
+    await Promise.all(posts.map((post) => request('POST', `/blog-posts/${post.id}/submit-for-review`, { token: author.token })));
+
+    const drafts = await app.db.query('api::blog-post.blog-post').findMany({
+      where: { id: { $in: posts.map((post) => post.id) } },
+      populate: ['reviewer'],
+    });
+    assert.notStrictEqual(drafts[0].reviewer.id, drafts[1].reviewer.id);
+  });
+});
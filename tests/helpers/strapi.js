@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * Boots the CMS for the API tests: SQLite database in .tmp (dropped
+ * afterwards), no cron, no emails, no minimum SEO score. Requests go
+ * through the running HTTP server like the Symfony frontend's.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const APP_DIR = path.join(__dirname, '..', '..');
+const DATABASE_FILENAME = path.join('.tmp', `test-${process.pid}.db`);
+
+Object.assign(process.env, {
+  APP_KEYS: 'test-key-a,test-key-b',
+  API_TOKEN_SALT: 'test-api-token-salt',
+  ADMIN_JWT_SECRET: 'test-admin-jwt-secret',
+  TRANSFER_TOKEN_SALT: 'test-transfer-token-salt',
+  JWT_SECRET: 'test-jwt-secret',
+  ENCRYPTION_KEY: 'test-encryption-key',
+  DATABASE_CLIENT: 'sqlite',
+  DATABASE_FILENAME,
+  CRON_ENABLED: 'false',
+  WORKFLOW_NOTIFICATIONS: 'false',
+  SEO_MIN_SCORE: '0',
+  PREVIEW_SECRET: 'test-preview-secret',
+});
+
+const { createStrapi } = require('@strapi/strapi');
+
+let app;
+let serverUrl;
+
+async function setup() {
+  app = createStrapi({ appDir: APP_DIR, distDir: APP_DIR, autoReload: false, serveAdminPanel: false });
+  await app.load();
+  await app.server.listen();
+  serverUrl = `http://localhost:${app.server.httpServer.address().port}`;
+  return app;
+}
+
+async function teardown() {
+  if (app) await app.destroy();
+  fs.rmSync(path.join(APP_DIR, DATABASE_FILENAME), { force: true });
+}
+
+async function call(method, url, { body, token } = {}) {
+  const response = await fetch(`${serverUrl}${url}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+/**
+ * Call the REST API.
+ *
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+function request(method, url, options) {
+  return call(method, `/api${url}`, options);
+}
+
+/**
+ * Call the admin API (Content Manager, editorial plugin) with the token of
+ * an admin panel user.
+ *
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+function adminRequest(method, url, options) {
+  return call(method, url, options);
+}
+
+/**
+ * A users-permissions user with a workflow role (author, editor...), and
+ * the JWT to call the API as that user.
+ */
+async function createUser(roleType) {
+  const name = `${roleType}-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+  const role = await app.db.query('plugin::users-permissions.role').findOne({ where: { type: roleType } });
+  const user = await app.db.query('plugin::users-permissions.user').create({
+    data: {
+      username: name,
+      email: `${name}@example.com`,
+      provider: 'local',
+      confirmed: true,
+      password: 'Test-password-1',
+      role: role.id,
+    },
+  });
+
+  return { user, token: app.plugin('users-permissions').service('jwt').issue({ id: user.id }) };
+}
+
+/**
+ * An admin panel user with one of the default roles (`strapi-super-admin`,
+ * `strapi-editor`, `strapi-author`), and its admin API token.
+ */
+async function createAdminUser(roleCode) {
+  const email = `${roleCode}-${Date.now()}-${Math.floor(Math.random() * 1000)}@example.com`;
+  const password = 'Test-password-1';
+  const role = await app.db.query('admin::role').findOne({ where: { code: roleCode } });
+  const user = await app.service('admin::user').create({
+    email,
+    firstname: roleCode,
+    lastname: 'Test',
+    password,
+    isActive: true,
+    registrationToken: null,
+    roles: [role.id],
+  });
+
+  const login = await call('POST', '/admin/login', { body: { email, password } });
+  return { user, token: login.body.data.token || login.body.data.accessToken };
+}
+
+/**
+ * A full-access API token, with the workflow role mapped to its name in
+ * config/workflow.js (`apiTokenRoles`) when one is given.
+ */
+async function createApiToken(name, workflowRole) {
+  if (workflowRole) {
+    app.config.set('workflow.apiTokenRoles', { ...app.config.get('workflow.apiTokenRoles'), [name]: workflowRole });
+  }
+
+  const { accessKey } = await app.service('admin::api-token').create({ name, type: 'full-access', lifespan: null });
+  return accessKey;
+}
+
+module.exports = { setup, teardown, request, adminRequest, createUser, createAdminUser, createApiToken };
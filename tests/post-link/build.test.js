@@ -0,0 +1,45 @@
+'use strict';
+
+const { describe, before, after, it } = require('node:test');
+const assert = require('node:assert');
+
+const { setup, teardown, request, createUser } = require('../helpers/strapi');
+
+const UID = 'api::post-link.post-link';
+
+function contentLinkingTo(url) {
+  return [{ type: 'paragraph', children: [{ type: 'link', url, children: [{ type: 'text', text: 'Calculator RCA' }] }] }];
+}
+
+describe('link index build', () => {
+  let app;
+
+  before(async () => {
+    app = await setup();
+    const author = await createUser('author');
+
+    for (let i = 0; i < 3; i++) {
+      await request('POST', '/blog-posts?status=draft', {
+        token: author.token,
+        body: { data: { title: `Ghid RCA ${i}`, slug: `ghid-rca-${i}`, excerpt: 'Ghid', system: 'home', content: contentLinkingTo('/rca/calculator') } },
+      });
+    }
+  });
+
+  after(teardown);
+
+  it('indexes every post version once', async () => {
+    const service = app.service('api::post-link.post-link');
+
+    await app.db.query(UID).deleteMany({});
+    await app.store({ type: 'api', name: 'post-link', key: 'index-built' }).delete();
+
+    await service.buildOnce();
+    assert.strictEqual(await app.db.query(UID).count(), 3);
+
+    // Built: not rebuilt on the next start, even with no link left
+    await app.db.query(UID).deleteMany({});
+    await service.buildOnce();
+    assert.strictEqual(await app.db.query(UID).count(), 0);
+  });
+});
@@ -1,3 +1,45 @@
-/*
- * The app doesn't have any components yet.
- */
+import type { Schema, Struct } from '@strapi/strapi';
+
+export interface AuthorSocialLink extends Struct.ComponentSchema {
+  collectionName: 'components_author_social_links';
+  info: {
+    description: 'Author profile on a social network or website';
+    displayName: 'Social link';
+  };
+  attributes: {
+    network: Schema.Attribute.Enumeration<
+      ['linkedin', 'facebook', 'x', 'instagram', 'youtube', 'website']
+    > &
+      Schema.Attribute.Required;
+    url: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetMinMaxLength<{
+        maxLength: 500;
+      }>;
+  };
+}
+
+export interface BlogFaqItem extends Struct.ComponentSchema {
+  collectionName: 'components_blog_faq_items';
+  info: {
+    description: 'Question and answer of the FAQ section of a blog post';
+    displayName: 'FAQ item';
+  };
+  attributes: {
+    answer: Schema.Attribute.Blocks & Schema.Attribute.Required;
+    question: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetMinMaxLength<{
+        maxLength: 300;
+      }>;
+  };
+}
+
+declare module '@strapi/strapi' {
+  export module Public {
+    export interface ComponentSchemas {
+      'author.social-link': AuthorSocialLink;
+      'blog.faq-item': BlogFaqItem;
+    }
+  }
+}